@@ -1,13 +1,37 @@
+import hashlib
+import hmac
+import json
+import logging
 import os
 import re
+import tempfile
+import threading
+import unicodedata
 from dataclasses import dataclass
+from difflib import SequenceMatcher
+from datetime import date, datetime, time, timedelta
 from pathlib import Path
+from zoneinfo import ZoneInfo
 
-from flask import Flask, abort, render_template, send_from_directory
+from flask import Flask, abort, g, jsonify, redirect, render_template, request, send_from_directory, url_for
+from markupsafe import Markup
+from pypdf import PdfReader
+from pypdf.errors import PdfReadError
+from werkzeug.routing import BaseConverter
+from werkzeug.security import safe_join
 
 
 BASE_DIR = Path(__file__).resolve().parent
 BOOKLETS_FOLDER = BASE_DIR / "booklets"
+DATA_FOLDER = BASE_DIR / "data"
+EXAM_SCHEDULE_FILE = DATA_FOLDER / "exam_schedule.json"
+# Booklets replaced through /upload, kept as <name>_<year>.<timestamp>.pdf.
+BOOKLET_ARCHIVE_FOLDER = DATA_FOLDER / "booklet_archive"
+TRANSLATIONS_FOLDER = DATA_FOLDER / "translations"
+
+# Same logger as app.logger (Flask names it after the app), for helpers that
+# run outside create_app().
+log = logging.getLogger(__name__)
 
 
 @dataclass(frozen=True)
@@ -16,6 +40,17 @@ class BookletItem:
     name: str
     year: str
     effect: str
+    # Subject key in data/exam_schedule.json ("" if none matched).
+    exam_subject: str = ""
+    # (option, value) pairs rendered as data-fx-<option> on the card.
+    fx_options: tuple[tuple[str, str], ...] = ()
+    # From booklets/manifest.json; empty when the file has no entry.
+    title: str = ""
+    level: str = ""  # "SL", "HL" or "both"
+    first_exam: str = ""
+    syllabus_code: str = ""
+    description: str = ""
+    accent: str = ""  # "#rrggbb"
 
 
 _FILENAME_RE = re.compile(r"^(?P<name>.+)_(?P<year>\d{4})\.pdf$", re.IGNORECASE)
@@ -23,23 +58,1300 @@ _FILENAME_RE = re.compile(r"^(?P<name>.+)_(?P<year>\d{4})\.pdf$", re.IGNORECASE)
 
 _EFFECT_BY_KEYWORD: dict[str, str] = {
     # Allow multiple keywords to map to the same effect.
+    # First match wins, so specific keywords go before generic ones
+    # ("mathai" must be checked before "math").
+    "mathai": "regression",
+    "math ai": "regression",
     "math": "glow-matrix",
+    "mathematics": "glow-matrix",
     "physics": "vector-field",
     "chem": "molecules",
     "chemistry": "molecules",
+    "ess": "food-web",
+    "environmental": "food-web",
 }
 
 
-def _effect_for_booklet(name: str, filename: str) -> str:
-    # Decide effects based on either booklet name or filename.
-    # Keep it simple + predictable: keyword match on lowercased strings.
-    haystack = f"{name} {filename}".lower()
-    for keyword, effect in _EFFECT_BY_KEYWORD.items():
-        if keyword in haystack:
-            return effect
+# Maps booklets to subject keys in data/exam_schedule.json, using the same
+# first-match, whole-word keyword rules as _EFFECT_BY_KEYWORD.
+_EXAM_SUBJECT_BY_KEYWORD: dict[str, str] = {
+    "mathai": "math-ai",
+    "math ai": "math-ai",
+    "math": "math-aa",
+    "mathematics": "math-aa",
+    "physics": "physics",
+    "chem": "chemistry",
+    "chemistry": "chemistry",
+    "ess": "ess",
+    "environmental": "ess",
+}
+
+
+# Words in a booklet name: split on "_", spaces and case changes, so
+# "MathAI_2021.pdf" reads as "math ai 2021 pdf".
+_KEYWORD_WORD_RE = re.compile(r"[A-Z]+(?![a-z])|[A-Z]?[a-z]+|\d+")
+
+
+def _keyword_words(text: str) -> tuple[str, ...]:
+    return tuple(word.lower() for word in _KEYWORD_WORD_RE.findall(text))
+
+
+def _match_keyword(name: str, filename: str, table: dict[str, str]) -> str:
+    # Decide based on either booklet name or filename.
+    # Keep it simple + predictable: keywords match whole words only, so "ess"
+    # picks up "ESS_2018.pdf" but not "Business" or "Chemistry_Lessons".
+    texts = (_keyword_words(name), _keyword_words(filename))
+    for keyword, value in table.items():
+        words = tuple(keyword.split())
+        for text in texts:
+            if any(text[i : i + len(words)] == words for i in range(len(text))):
+                return value
     return ""
 
 
+def _effect_for_booklet(name: str, filename: str) -> str:
+    return _match_keyword(name, filename, _EFFECT_BY_KEYWORD)
+
+
+def _exam_subject_for_booklet(name: str, filename: str) -> str:
+    return _match_keyword(name, filename, _EXAM_SUBJECT_BY_KEYWORD)
+
+
+# -------------------------
+# Booklet manifest
+# -------------------------
+
+# Optional per-file metadata. Anything it leaves out falls back to the
+# filename (_FILENAME_RE) and the keyword tables above:
+#   {"booklets": {"MathAI_2021.pdf": {"title": "Mathematics: applications and interpretation",
+#                                     "subject": "math-ai", "level": "both", "first_exam": 2021,
+#                                     "syllabus_code": "...", "description": "...",
+#                                     "accent": "#6f42c1", "effect": "regression",
+#                                     "fx": {"spacing": 12, "palette": "danger,warning"}}}}
+# `fx` options become data-fx-* attributes ("max-fps" -> data-fx-max-fps);
+# card-effects.js validates and clamps the values, so only the option names
+# and value types are checked here.
+MANIFEST_FILE = BOOKLETS_FOLDER / "manifest.json"
+
+_MANIFEST_FIELDS = (
+    "title", "subject", "level", "first_exam", "syllabus_code", "description", "accent", "effect", "fx"
+)
+_MANIFEST_LEVELS = {"sl": "SL", "hl": "HL", "both": "both"}
+_SUBJECT_KEY_RE = re.compile(r"^[a-z0-9]+(?:-[a-z0-9]+)*$")
+_ACCENT_RE = re.compile(r"^#[0-9a-fA-F]{6}$")
+# Effect names and `fx` option names: "glow-matrix", "max-fps".
+_FX_OPTION_NAME_RE = re.compile(r"^[a-z][a-z0-9]*(?:-[a-z0-9]+)*$")
+# Effects card-effects.js has built in; other names need a script that
+# calls CardEffects.register().
+_BUILTIN_EFFECTS = frozenset({"glow-matrix", "vector-field", "molecules", "food-web", "regression"})
+
+
+class ManifestError(ValueError):
+    pass
+
+
+@dataclass(frozen=True)
+class ManifestEntry:
+    title: str = ""
+    subject: str = ""
+    level: str = ""
+    first_exam: str = ""
+    syllabus_code: str = ""
+    description: str = ""
+    accent: str = ""
+    effect: str = ""
+    fx: tuple[tuple[str, str], ...] = ()
+
+
+def _manifest_fx(raw, fail) -> tuple[tuple[str, str], ...]:
+    # {"spacing": 12, "palette": "danger,warning"} -> (("spacing", "12"), ...)
+    if not isinstance(raw, dict):
+        fail("fx", f"expected an object of effect options, got {raw!r}")
+        return ()
+    options = []
+    for option, value in raw.items():
+        if not _FX_OPTION_NAME_RE.match(option):
+            fail("fx", f"expected an option name like 'max-fps', got {option!r}")
+        elif isinstance(value, bool) or not isinstance(value, (str, int, float)) or str(value).strip() == "":
+            fail("fx", f"{option}: expected a number or a non-empty string, got {value!r}")
+        else:
+            options.append((option, str(value).strip()))
+    return tuple(options)
+
+
+def _manifest_entry(filename: str, raw, errors: list[str]) -> ManifestEntry:
+    # Checks one file's entry; problems go to `errors` as "<file>: <field>: ...".
+    if not isinstance(raw, dict):
+        errors.append(f"{filename}: expected an object, got {type(raw).__name__}")
+        return ManifestEntry()
+
+    def fail(field: str, message: str) -> None:
+        errors.append(f"{filename}: {field}: {message}")
+
+    for field in raw:
+        if field not in _MANIFEST_FIELDS:
+            fail(field, f"unknown field (expected one of {', '.join(_MANIFEST_FIELDS)})")
+
+    values: dict[str, str] = {}
+    fx = _manifest_fx(raw["fx"], fail) if raw.get("fx") is not None else ()
+    for field in _MANIFEST_FIELDS:
+        value = raw.get(field)
+        if value is None or field == "fx":
+            continue
+        if field == "first_exam":
+            if isinstance(value, bool) or not re.fullmatch(r"\d{4}", str(value)):
+                fail(field, f"expected a year such as 2027, got {value!r}")
+                continue
+            values[field] = str(value)
+            continue
+        if not isinstance(value, str) or not value.strip():
+            fail(field, f"expected a non-empty string, got {value!r}")
+            continue
+        value = value.strip()
+        if field == "level":
+            if value.lower() not in _MANIFEST_LEVELS:
+                fail(field, f"expected SL, HL or both, got {value!r}")
+                continue
+            value = _MANIFEST_LEVELS[value.lower()]
+        elif field == "subject" and not _SUBJECT_KEY_RE.match(value):
+            fail(field, f"expected a key like 'math-ai', got {value!r}")
+            continue
+        elif field == "accent" and not _ACCENT_RE.match(value):
+            fail(field, f"expected a colour like '#0d6efd', got {value!r}")
+            continue
+        elif field == "effect" and not _FX_OPTION_NAME_RE.match(value):
+            fail(field, f"expected an effect name like 'glow-matrix', got {value!r}")
+            continue
+        values[field] = value
+    return ManifestEntry(**values, fx=fx)
+
+
+# ((mtime_ns, size), entries), like _HASH_CACHE; re-read when the file changes.
+_MANIFEST_CACHE: list[tuple[tuple[int, int], dict[str, ManifestEntry]]] = []
+
+
+def _load_manifest() -> dict[str, ManifestEntry]:
+    # filename -> entry. No manifest is fine; a broken one raises
+    # ManifestError listing every problem, so create_app() fails at start-up.
+    try:
+        stat = MANIFEST_FILE.stat()
+    except FileNotFoundError:
+        return {}
+    key = (stat.st_mtime_ns, stat.st_size)
+    if _MANIFEST_CACHE and _MANIFEST_CACHE[0][0] == key:
+        return _MANIFEST_CACHE[0][1]
+
+    where = f"booklets/{MANIFEST_FILE.name}"
+    try:
+        raw = json.loads(MANIFEST_FILE.read_text(encoding="utf-8"))
+    except ValueError as exc:
+        raise ManifestError(f"{where} is not valid JSON: {exc}") from exc
+    if not isinstance(raw, dict) or not isinstance(raw.get("booklets"), dict):
+        raise ManifestError(f'{where}: expected {{"booklets": {{"<file>.pdf": {{...}}}}}}')
+
+    errors: list[str] = []
+    entries = {}
+    for filename, entry in raw["booklets"].items():
+        if not filename.lower().endswith(".pdf") or filename != Path(filename).name:
+            errors.append(f"{filename}: expected a PDF filename in booklets/, e.g. Physics_2025.pdf")
+            continue
+        entries[filename] = _manifest_entry(filename, entry, errors)
+    if errors:
+        raise ManifestError(f"{where} has {len(errors)} problem(s):\n  " + "\n  ".join(errors))
+
+    _MANIFEST_CACHE[:] = [(key, entries)]
+    return entries
+
+
+# (mtime_ns, size) of manifest versions that failed to load after start-up.
+_MANIFEST_REJECTED: set[tuple[int, int]] = set()
+
+
+def _current_manifest() -> dict[str, ManifestEntry]:
+    # What requests use. A manifest broken by an edit after start-up is
+    # logged once per version of the file, and the last good one stays in
+    # use until it's fixed.
+    last_good = _MANIFEST_CACHE[0][1] if _MANIFEST_CACHE else {}
+    try:
+        stat = MANIFEST_FILE.stat()
+    except FileNotFoundError:
+        return {}
+    key = (stat.st_mtime_ns, stat.st_size)
+    if key in _MANIFEST_REJECTED:
+        return last_good
+    try:
+        return _load_manifest()
+    except ManifestError as exc:
+        _MANIFEST_REJECTED.add(key)
+        log.error("%s\nKeeping the last good manifest until it's fixed.", exc)
+        return last_good
+
+
+def _manifest_warnings(entries: dict[str, ManifestEntry]) -> list[str]:
+    # Not fatal: a booklet removed from the folder, or an effect another
+    # script registers.
+    present = set(_booklet_filenames())
+    warnings = [f"manifest entry for {name} has no file in booklets/" for name in entries if name not in present]
+    warnings += [
+        f"{name}: effect {entry.effect!r} isn't built in; a script must register it"
+        for name, entry in entries.items()
+        if entry.effect and entry.effect not in _BUILTIN_EFFECTS
+    ]
+    return warnings
+
+
+def _booklet_filenames() -> list[str]:
+    if not (BOOKLETS_FOLDER.exists() and BOOKLETS_FOLDER.is_dir()):
+        return []
+    return [entry for entry in sorted(os.listdir(BOOKLETS_FOLDER)) if entry.lower().endswith(".pdf")]
+
+
+def _load_booklets() -> list[BookletItem]:
+    manifest = _current_manifest()
+    items: list[BookletItem] = []
+    for entry in _booklet_filenames():
+        match = _FILENAME_RE.match(entry)
+        if match:
+            name = match.group("name")
+            year = match.group("year")
+        else:
+            name = os.path.splitext(entry)[0]
+            year = ""
+
+        meta = manifest.get(entry, ManifestEntry())
+        items.append(
+            BookletItem(
+                filename=entry,
+                name=name,
+                year=year,
+                effect=meta.effect or _effect_for_booklet(name=name, filename=entry),
+                exam_subject=meta.subject or _exam_subject_for_booklet(name=name, filename=entry),
+                fx_options=meta.fx,
+                title=meta.title,
+                level=meta.level,
+                first_exam=meta.first_exam,
+                syllabus_code=meta.syllabus_code,
+                description=meta.description,
+                accent=meta.accent,
+            )
+        )
+    return items
+
+
+@dataclass(frozen=True)
+class BookletSubject:
+    name: str
+    # Newest first; editions without a year go last.
+    editions: tuple[BookletItem, ...]
+
+    @property
+    def latest(self) -> BookletItem:
+        return self.editions[0]
+
+
+def _group_booklets(items: list[BookletItem]) -> list[BookletSubject]:
+    # MathAA_2021.pdf and MathAA_2027.pdf are editions of one subject.
+    by_name: dict[str, list[BookletItem]] = {}
+    for item in items:
+        by_name.setdefault(item.name, []).append(item)
+
+    subjects = []
+    for name, editions in by_name.items():
+        editions.sort(key=lambda item: item.year or "0000", reverse=True)
+        subjects.append(BookletSubject(name=name, editions=tuple(editions)))
+    subjects.sort(key=lambda subject: subject.name.lower())
+    return subjects
+
+
+@dataclass(frozen=True)
+class ExamPaper:
+    subject: str
+    subject_title: str
+    paper: str
+    date: date
+    session: str
+    starts_at: datetime
+    # Ends when the longest level (usually HL) finishes.
+    ends_at: datetime
+    durations: tuple[tuple[str, str], ...]
+
+
+@dataclass(frozen=True)
+class ExamSchedule:
+    title: str
+    # Filename of the official schedule PDF in booklets/.
+    source: str
+    timezone: str
+    papers: tuple[ExamPaper, ...]
+
+
+# msgids for the timeline's day labels, by date.weekday() and date.month;
+# strftime("%a") would follow the server's C locale.
+_WEEKDAY_NAMES = ("Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun")
+_MONTH_NAMES = ("Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec")
+
+_DURATION_RE = re.compile(r"^\s*(?:(?P<h>\d+)h)?\s*(?:(?P<m>\d+)m)?\s*$")
+
+
+def _parse_duration(value: str) -> timedelta:
+    match = _DURATION_RE.match(value)
+    if not match or not (match.group("h") or match.group("m")):
+        raise ValueError(f"Invalid duration {value!r} (expected e.g. '1h 30m')")
+    return timedelta(hours=int(match.group("h") or 0), minutes=int(match.group("m") or 0))
+
+
+def _load_exam_schedule() -> ExamSchedule | None:
+    if not EXAM_SCHEDULE_FILE.exists():
+        return None
+
+    raw = json.loads(EXAM_SCHEDULE_FILE.read_text(encoding="utf-8"))
+    try:
+        tz = ZoneInfo(raw["timezone"])
+        sessions = {key: time.fromisoformat(value) for key, value in raw["sessions"].items()}
+        subjects: dict[str, str] = raw["subjects"]
+
+        papers = []
+        for entry in raw["papers"]:
+            day = date.fromisoformat(entry["date"])
+            starts_at = datetime.combine(day, sessions[entry["session"]], tzinfo=tz)
+            durations = tuple((level, text) for level, text in entry["durations"].items())
+            longest = max(_parse_duration(text) for _, text in durations)
+            papers.append(
+                ExamPaper(
+                    subject=entry["subject"],
+                    subject_title=subjects[entry["subject"]],
+                    paper=entry["paper"],
+                    date=day,
+                    session=entry["session"],
+                    starts_at=starts_at,
+                    ends_at=starts_at + longest,
+                    durations=durations,
+                )
+            )
+    except (KeyError, ValueError) as exc:
+        raise ValueError(f"Invalid exam schedule in {EXAM_SCHEDULE_FILE.name}: {exc!r}") from exc
+
+    papers.sort(key=lambda p: (p.starts_at, p.subject_title))
+    return ExamSchedule(
+        title=raw.get("title", "Exam schedule"),
+        source=raw.get("source", ""),
+        timezone=raw["timezone"],
+        papers=tuple(papers),
+    )
+
+
+def _split_schedule_pdf(
+    items: list[BookletItem], schedule: ExamSchedule | None
+) -> tuple[list[BookletItem], BookletItem | None]:
+    # The official schedule PDF is shown as the timeline, not as a card.
+    if not schedule:
+        return items, None
+    schedule_pdf = next((item for item in items if item.filename == schedule.source), None)
+    return [item for item in items if item is not schedule_pdf], schedule_pdf
+
+
+# filename -> ((mtime_ns, size), sha256 hex). Hashing a booklet reads the
+# whole file, so only redo it when the file on disk changes.
+_HASH_CACHE: dict[str, tuple[tuple[int, int], str]] = {}
+
+
+def _booklet_hash(path: Path) -> str:
+    stat = path.stat()
+    key = (stat.st_mtime_ns, stat.st_size)
+    cached = _HASH_CACHE.get(path.name)
+    if cached and cached[0] == key:
+        return cached[1]
+
+    digest = hashlib.sha256()
+    with path.open("rb") as fh:
+        for chunk in iter(lambda: fh.read(1 << 16), b""):
+            digest.update(chunk)
+    _HASH_CACHE[path.name] = (key, digest.hexdigest())
+    return digest.hexdigest()
+
+
+# -------------------------
+# Full-text search
+# -------------------------
+
+SEARCH_INDEX_FILE = DATA_FOLDER / "search_index.json"
+# Bump when the extracted fields change so old cache files are ignored.
+_SEARCH_INDEX_VERSION = 3
+_SEARCH_MAX_RESULTS = 50
+_SEARCH_MAX_QUERY = 100
+_SNIPPET_BEFORE = 60
+_SNIPPET_AFTER = 120
+
+# Booklets print formulas, not their everyday names ("E_k = ½mv²" rather
+# than "kinetic energy"). Queries listed here also match the sections that
+# cover them, ranked below direct hits. Keys and aliases are lowercase.
+_SEARCH_ALIASES: dict[str, tuple[str, ...]] = {
+    "kinetic energy": ("work, energy and power", "thermal energy transfers"),
+    "potential energy": ("work, energy and power", "gravitational fields", "electric and magnetic fields"),
+    "quadratic formula": ("solutions of a quadratic equation",),
+    "newton's second law": ("forces and momentum",),
+    "ohm's law": ("current and circuits",),
+    "pythagoras": ("distance between two points",),
+    "standard deviation": ("standardized normal variable", "variance"),
+    "ideal gas law": ("gas laws", "ideal gas"),
+}
+
+
+@dataclass(frozen=True)
+class BookletPage:
+    number: int
+    # Extracted text lines, whitespace collapsed, blank lines dropped.
+    lines: tuple[str, ...]
+    # Section titles on the page: outline (bookmark) entries plus numbered
+    # lines such as "4.8 Binomial distribution" or "Topic 2: Functions".
+    headings: tuple[str, ...]
+
+    @property
+    def text(self) -> str:
+        return " ".join(self.lines)
+
+
+def _marked_segments(text: str, spans: tuple[tuple[int, int], ...]) -> list[tuple[str, bool]]:
+    # `text` split into (text, is_marked) runs for templates; `spans` are
+    # sorted, non-overlapping (start, end) offsets.
+    out, pos = [], 0
+    for start, end in spans:
+        if start > pos:
+            out.append((text[pos:start], False))
+        out.append((text[start:end], True))
+        pos = end
+    if pos < len(text):
+        out.append((text[pos:], False))
+    return out
+
+
+@dataclass(frozen=True)
+class SearchHit:
+    item: BookletItem
+    page: int
+    # Heading the query matched ("" for a body-text hit).
+    heading: str
+    snippet: str
+    # (start, end) offsets of the matched words in `snippet`.
+    highlights: tuple[tuple[int, int], ...]
+    score: float
+
+    @property
+    def url(self) -> str:
+        return url_for("serve_booklet", filename=self.item.filename) + f"#page={self.page}"
+
+    def segments(self) -> list[tuple[str, bool]]:
+        return _marked_segments(self.snippet, self.highlights)
+
+
+_HEADING_START_RE = re.compile(
+    r"^(?:Topic\s+\d+\b|Option\s+[A-Z]\b|[A-Z]\s?\.\s?\d+(?:\.\d+)*\s|\d+\.\d+\s)"
+)
+_HEADING_WORD_RE = re.compile(r"^[A-Za-z][A-Za-z’'()\-–,:]+$|^[–:]$")
+# Symbols that slip through _HEADING_WORD_RE at the end of a line: "WF",
+# "FFfs", "Ek", "mmrp", "P(" (a capital after the first letter, two letters
+# with a capital, or no vowel).
+_HEADING_JUNK_RE = re.compile(r"^.+[A-Z].*$|^[A-Z][a-z]$|^[^aeiouyAEIOUY]+$")
+
+
+def _heading_from_line(line: str) -> str:
+    # "4.8 Binomial distribution ~B( , )X np" -> "4.8 Binomial distribution".
+    # Formulas follow the title on the same line, so keep words until the
+    # first token that looks like maths (single letters, symbols, digits).
+    match = _HEADING_START_RE.match(line)
+    if not match:
+        return ""
+    # "A .3" / "Topic 1 :" -> "A.3" / "Topic 1:".
+    words = [re.sub(r"\s+([.:])", r"\1", match.group(0).strip())]
+    for token in line[match.end() :].split():
+        if not _HEADING_WORD_RE.match(token) and token not in ("a", "A"):
+            break
+        words.append(token)
+    while len(words) > 1 and _HEADING_JUNK_RE.match(words[-1]) and words[-1] not in ("HL", "SL"):
+        words.pop()
+    if len(words) > 1 and words[1] == ":":
+        words[0:2] = [words[0] + ":"]
+    return " ".join(words) if len(words) > 1 else ""
+
+
+@dataclass(frozen=True)
+class ContentsEntry:
+    title: str
+    page: int
+    # 0 for top-level entries ("Topic 2: Functions"), 1 below them, ...
+    level: int
+
+
+def _outline_entries(reader: PdfReader) -> list[ContentsEntry]:
+    # The PDF's bookmarks in order. Titles starting with "_" are Word's hidden
+    # bookmarks ("_TOC_250036"), not sections.
+    entries: list[ContentsEntry] = []
+
+    def walk(outline, level: int) -> None:
+        for entry in outline:
+            if isinstance(entry, list):
+                # Children of the entry before it.
+                walk(entry, level + 1)
+                continue
+            title = " ".join(str(entry.title).split())
+            page = reader.get_destination_page_number(entry)
+            if title and not title.startswith("_") and page is not None and page >= 0:
+                entries.append(ContentsEntry(title=title, page=page + 1, level=level))
+
+    try:
+        walk(reader.outline, 0)
+    except Exception:
+        # A broken outline only costs us heading hits (and the
+        # contents fall back to detected headings).
+        return []
+    return entries
+
+
+def _outline_titles(reader: PdfReader) -> dict[int, list[str]]:
+    titles: dict[int, list[str]] = {}
+    for entry in _outline_entries(reader):
+        titles.setdefault(entry.page - 1, []).append(entry.title)
+    return titles
+
+
+def _extract_pages(path: Path) -> tuple[BookletPage, ...]:
+    pages = []
+    try:
+        reader = PdfReader(path)
+        outline = _outline_titles(reader)
+        for index, page in enumerate(reader.pages):
+            try:
+                raw = page.extract_text() or ""
+            except Exception:
+                raw = ""
+            lines = [" ".join(line.split()) for line in raw.splitlines()]
+            lines = [line for line in lines if line]
+            headings = outline.get(index, []) + [h for h in map(_heading_from_line, lines) if h]
+            pages.append(
+                BookletPage(number=index + 1, lines=tuple(lines), headings=tuple(dict.fromkeys(headings)))
+            )
+    except (PdfReadError, OSError) as err:
+        # A damaged PDF is indexed as having no pages (until the file
+        # changes), so the other booklets stay searchable.
+        log.warning("Could not read %s for the search index: %s", path.name, err)
+        return ()
+    return tuple(pages)
+
+
+# filename -> ((mtime_ns, size), pages), loaded from SEARCH_INDEX_FILE on
+# first use. Only booklets whose file changed are extracted again.
+_SEARCH_INDEX: dict[str, tuple[tuple[int, int], tuple[BookletPage, ...]]] | None = None
+_SEARCH_LOCK = threading.Lock()
+
+
+def _read_search_cache() -> dict[str, tuple[tuple[int, int], tuple[BookletPage, ...]]]:
+    try:
+        raw = json.loads(SEARCH_INDEX_FILE.read_text(encoding="utf-8"))
+        if raw.get("version") != _SEARCH_INDEX_VERSION:
+            return {}
+        return {
+            filename: (
+                (entry["mtime_ns"], entry["size"]),
+                tuple(
+                    BookletPage(number=p["number"], lines=tuple(p["lines"]), headings=tuple(p["headings"]))
+                    for p in entry["pages"]
+                ),
+            )
+            for filename, entry in raw["booklets"].items()
+        }
+    except (OSError, ValueError, KeyError, TypeError):
+        # Missing or unreadable cache: rebuild it.
+        return {}
+
+
+def _write_search_cache(index: dict[str, tuple[tuple[int, int], tuple[BookletPage, ...]]]) -> None:
+    payload = {
+        "version": _SEARCH_INDEX_VERSION,
+        "booklets": {
+            filename: {
+                "mtime_ns": key[0],
+                "size": key[1],
+                "pages": [{"number": p.number, "lines": list(p.lines), "headings": list(p.headings)} for p in pages],
+            }
+            for filename, (key, pages) in index.items()
+        },
+    }
+    tmp = SEARCH_INDEX_FILE.with_suffix(".tmp")
+    try:
+        tmp.write_text(json.dumps(payload, ensure_ascii=False), encoding="utf-8")
+        os.replace(tmp, SEARCH_INDEX_FILE)
+    except OSError:
+        # Read-only deploys still search; they just re-extract after a restart.
+        pass
+
+
+def _search_index() -> dict[str, tuple[BookletPage, ...]]:
+    global _SEARCH_INDEX
+    with _SEARCH_LOCK:
+        if _SEARCH_INDEX is None:
+            _SEARCH_INDEX = _read_search_cache()
+
+        current = {}
+        for entry in _booklet_filenames():
+            stat = (BOOKLETS_FOLDER / entry).stat()
+            key = (stat.st_mtime_ns, stat.st_size)
+            cached = _SEARCH_INDEX.get(entry)
+            current[entry] = cached if cached and cached[0] == key else (key, _extract_pages(BOOKLETS_FOLDER / entry))
+
+        if current != _SEARCH_INDEX:
+            _SEARCH_INDEX = current
+            _write_search_cache(current)
+        return {filename: pages for filename, (_, pages) in current.items()}
+
+
+def _fold(text: str) -> tuple[str, list[int]]:
+    # Case- and accent-insensitive copy of `text`, plus the index in `text`
+    # of every folded character (so matches map back for highlighting).
+    folded, positions = [], []
+    for index, char in enumerate(text):
+        for part in unicodedata.normalize("NFKD", char.casefold()):
+            if not unicodedata.combining(part):
+                folded.append(part)
+                positions.append(index)
+    return "".join(folded), positions
+
+
+def _term_pattern(term: str) -> re.Pattern:
+    # Terms match at the start of a word ("binomial" finds "binomials");
+    # short ones only as whole words, so "pH" doesn't hit "physics".
+    end = r"(?!\w)" if len(term) <= 2 else ""
+    return re.compile(r"(?<!\w)" + re.escape(term) + end)
+
+
+def _find_all(folded: str, pattern: re.Pattern) -> list[tuple[int, int]]:
+    return [match.span() for match in pattern.finditer(folded)]
+
+
+def _snippet(text: str, folded: str, positions: list[int], patterns: list[re.Pattern], anchor: int):
+    # ~180 characters around `anchor` (a folded offset), cut at word breaks.
+    center = positions[anchor]
+    start = max(0, center - _SNIPPET_BEFORE)
+    end = min(len(text), center + _SNIPPET_AFTER)
+    if start > 0:
+        space = text.find(" ", start, center)
+        if space != -1:
+            start = space + 1
+    if end < len(text):
+        space = text.rfind(" ", center, end)
+        if space > center:
+            end = space
+    snippet = text[start:end].strip()
+    offset = start + (len(text[start:end]) - len(text[start:end].lstrip()))
+
+    highlights = []
+    for pattern in patterns:
+        for hit_start, hit_end in _find_all(folded, pattern):
+            a = positions[hit_start] - offset
+            b = positions[hit_end - 1] + 1 - offset
+            if a >= 0 and b <= len(snippet):
+                highlights.append((a, b))
+    # Merge overlaps ("e" inside "energy" etc.).
+    merged: list[tuple[int, int]] = []
+    for a, b in sorted(highlights):
+        if merged and a <= merged[-1][1]:
+            merged[-1] = (merged[-1][0], max(b, merged[-1][1]))
+        else:
+            merged.append((a, b))
+
+    prefix = "… " if start > 0 else ""
+    suffix = " …" if end < len(text) else ""
+    shifted = tuple((a + len(prefix), b + len(prefix)) for a, b in merged)
+    return prefix + snippet + suffix, shifted
+
+
+def _query_variants(query: str) -> list[tuple[list[re.Pattern], re.Pattern, int]]:
+    # (term patterns, phrase pattern, score penalty): the query itself, then
+    # any _SEARCH_ALIASES for it.
+    phrase = " ".join(_fold(" ".join(query.split())[:_SEARCH_MAX_QUERY])[0].split())
+    if not phrase:
+        return []
+    variants = []
+    for text, penalty in [(phrase, 0)] + [(alias, 4) for alias in _SEARCH_ALIASES.get(phrase, ())]:
+        terms = text.split()
+        variants.append(([_term_pattern(term) for term in terms], _term_pattern(text), penalty))
+    return variants
+
+
+def _search_booklets(query: str, items: list[BookletItem], subject: str = "") -> list[SearchHit]:
+    variants = _query_variants(query)
+    if not variants:
+        return []
+    subject = subject.strip().lower()
+    index = _search_index()
+    latest = {group.latest.filename for group in _group_booklets(items)}
+
+    hits = []
+    for item in items:
+        for page in index.get(item.filename, ()):
+            folded, positions = _fold(page.text)
+            # First variant (query before aliases) that the page matches.
+            variant = next((v for v in variants if all(p.search(folded) for p in v[0])), None)
+            if variant is None:
+                continue
+            patterns, phrase, penalty = variant
+
+            heading = next(
+                (h for h in page.headings if all(p.search(_fold(h)[0]) for p in patterns)), ""
+            )
+            phrase_hit = phrase.search(folded)
+            score = sum(min(len(_find_all(folded, p)), 5) for p in patterns) - penalty
+            if phrase_hit:
+                score += 5
+            if heading:
+                score += 10
+            if item.filename not in latest:
+                # Older editions below the current one.
+                score -= 3
+
+            anchor = phrase_hit.start() if phrase_hit else patterns[0].search(folded).start()
+            if heading:
+                # Prefer showing the heading line itself.
+                at = folded.find(_fold(heading)[0])
+                anchor = at if at != -1 else anchor
+            snippet, highlights = _snippet(page.text, folded, positions, patterns, anchor)
+            hits.append(SearchHit(item, page.number, heading, snippet, highlights, score))
+
+    # Group by subject: the requested subject first, then subjects by their
+    # best hit; inside a subject, heading hits before body text.
+    best: dict[str, float] = {}
+    for hit in hits:
+        best[hit.item.name] = max(best.get(hit.item.name, hit.score), hit.score)
+
+    def rank(hit: SearchHit):
+        wanted = subject and subject in (hit.item.exam_subject, hit.item.name.lower())
+        return (not wanted, -best[hit.item.name], hit.item.name.lower(), not hit.heading, -hit.score, hit.page)
+
+    hits.sort(key=rank)
+    return hits[:_SEARCH_MAX_RESULTS]
+
+
+# -------------------------
+# Table of contents
+# -------------------------
+
+# filename -> ((mtime_ns, size), entries), like _HASH_CACHE. Outlines are
+# quick to read, so this one isn't kept on disk.
+_CONTENTS_CACHE: dict[str, tuple[tuple[int, int], tuple[ContentsEntry, ...]]] = {}
+
+
+def _contents_from_headings(pages: tuple[BookletPage, ...]) -> tuple[ContentsEntry, ...]:
+    # Booklets without bookmarks: one entry per section number on the page
+    # where it first appears. Repeats of a section further on tend to carry
+    # extra symbols, so the shortest title wins.
+    entries: dict[str, ContentsEntry] = {}
+    for page in pages:
+        for heading in page.headings:
+            match = _HEADING_START_RE.match(heading + " ")
+            if not match:
+                continue
+            key = re.sub(r"\s+", "", match.group(0)).lower()
+            level = 0 if key.startswith(("topic", "option")) else 1
+            current = entries.get(key)
+            if current is None:
+                entries[key] = ContentsEntry(title=heading, page=page.number, level=level)
+            elif len(heading) < len(current.title):
+                entries[key] = ContentsEntry(title=heading, page=current.page, level=level)
+
+    def order(item: tuple[str, ContentsEntry]):
+        # Text order within a page can be column order ("B.5" before "B.4").
+        key, entry = item
+        return entry.page, entry.level, re.sub(r"\d+", lambda m: m.group(0).zfill(4), key)
+
+    ordered = [entry for _, entry in sorted(entries.items(), key=order)]
+    top = min((entry.level for entry in ordered), default=0)
+    return tuple(ContentsEntry(title=e.title, page=e.page, level=e.level - top) for e in ordered)
+
+
+def _booklet_contents(filename: str) -> tuple[ContentsEntry, ...]:
+    # The PDF's outline (bookmarks), or else the section headings the search
+    # index detected. Empty when neither exists.
+    path = BOOKLETS_FOLDER / filename
+    stat = path.stat()
+    key = (stat.st_mtime_ns, stat.st_size)
+    cached = _CONTENTS_CACHE.get(filename)
+    if cached and cached[0] == key:
+        return cached[1]
+
+    try:
+        entries = tuple(_outline_entries(PdfReader(path)))
+    except (PdfReadError, OSError) as err:
+        # Damaged file: no contents, but the page and the other editions
+        # still render.
+        log.warning("Could not read the outline of %s: %s", filename, err)
+        entries = ()
+    if not entries:
+        entries = _contents_from_headings(_search_index().get(filename, ()))
+    _CONTENTS_CACHE[filename] = (key, entries)
+    return entries
+
+
+def _contents_tree(entries: tuple[ContentsEntry, ...]) -> list[tuple[ContentsEntry, list[ContentsEntry]]]:
+    # Top-level entries with everything nested below them (the template
+    # indents children by their level). Leading children get no parent.
+    tree: list[tuple[ContentsEntry, list[ContentsEntry]]] = []
+    for entry in entries:
+        if entry.level == 0 or not tree:
+            tree.append((entry, []))
+        else:
+            tree[-1][1].append(entry)
+    return tree
+
+
+class _SubjectConverter(BaseConverter):
+    # /booklets/<subject:name>: names never contain a dot, so PDF filenames
+    # still reach serve_booklet's <path:filename>.
+    regex = r"[^/.]+"
+
+
+# -------------------------
+# Edition comparison
+# -------------------------
+
+# Unchanged lines kept around each change; longer runs are folded.
+_DIFF_CONTEXT = 2
+# Below this similarity a replaced line counts as removed + added rather
+# than one changed line.
+_DIFF_MIN_RATIO = 0.4
+_DIFF_TOKEN_RE = re.compile(r"\w+|\s+|[^\w\s]")
+
+
+@dataclass(frozen=True)
+class DiffCell:
+    page: int
+    text: str
+    # (start, end) ranges that differ from the other side of a changed line.
+    marks: tuple[tuple[int, int], ...] = ()
+
+    def segments(self) -> list[tuple[str, bool]]:
+        return _marked_segments(self.text, self.marks)
+
+
+@dataclass(frozen=True)
+class DiffRow:
+    # "section", "same", "changed", "removed", "added" or "skipped".
+    kind: str
+    left: DiffCell | None = None
+    right: DiffCell | None = None
+    # "skipped": how many unchanged lines were folded away.
+    skipped: int = 0
+
+
+@dataclass(frozen=True)
+class EditionDiff:
+    old: BookletItem
+    new: BookletItem
+    rows: tuple[DiffRow, ...]
+    # Pages with at least one added, removed or changed line, mapped to the
+    # index in `rows` of their first change.
+    old_pages: dict[int, int]
+    new_pages: dict[int, int]
+    added: int
+    removed: int
+    changed: int
+
+
+def _edition_pairs(items: list[BookletItem]) -> list[tuple[BookletItem, BookletItem]]:
+    # (older, newer) for consecutive editions of the same subject, as parsed
+    # from name_year.pdf by _load_booklets; newest pairs first.
+    pairs = []
+    for subject in _group_booklets(items):
+        dated = [item for item in subject.editions if item.year]
+        pairs.extend((older, newer) for newer, older in zip(dated, dated[1:]))
+    pairs.sort(key=lambda pair: (pair[1].year, pair[1].name.lower()), reverse=True)
+    return pairs
+
+
+def _section_title_key(title: str) -> str:
+    # "4.8 Binomial distribution" and "4.9 Binomial distribution" are the same
+    # section renumbered; match on the words.
+    match = _HEADING_START_RE.match(title + " ")
+    words = title[match.end() :] if match else title
+    return " ".join(_fold(words)[0].replace(":", " ").split())
+
+
+def _diff_sections(pages: tuple[BookletPage, ...]) -> list[tuple[str, list[DiffCell]]]:
+    # The booklet's lines cut at detected section headings. Lines before the
+    # first heading (cover, contents) form an untitled section.
+    sections: list[tuple[str, list[DiffCell]]] = [("", [])]
+    for page in pages:
+        for line in page.lines:
+            heading = _heading_from_line(line)
+            if heading:
+                sections.append((heading, []))
+            sections[-1][1].append(DiffCell(page=page.number, text=line))
+    return [section for section in sections if section[1]]
+
+
+def _word_marks(a: str, b: str) -> tuple[tuple[tuple[int, int], ...], tuple[tuple[int, int], ...]]:
+    # Differing runs of a changed line, by word/symbol, for both sides.
+    tokens_a = _DIFF_TOKEN_RE.findall(a)
+    tokens_b = _DIFF_TOKEN_RE.findall(b)
+    offsets_a = [0]
+    for token in tokens_a:
+        offsets_a.append(offsets_a[-1] + len(token))
+    offsets_b = [0]
+    for token in tokens_b:
+        offsets_b.append(offsets_b[-1] + len(token))
+
+    marks_a, marks_b = [], []
+    for tag, i1, i2, j1, j2 in SequenceMatcher(None, tokens_a, tokens_b, autojunk=False).get_opcodes():
+        if tag == "equal":
+            continue
+        if i2 > i1:
+            marks_a.append((offsets_a[i1], offsets_a[i2]))
+        if j2 > j1:
+            marks_b.append((offsets_b[j1], offsets_b[j2]))
+    return tuple(marks_a), tuple(marks_b)
+
+
+def _diff_lines(left: list[DiffCell], right: list[DiffCell]) -> list[DiffRow]:
+    rows: list[DiffRow] = []
+    matcher = SequenceMatcher(None, [c.text for c in left], [c.text for c in right], autojunk=False)
+    for tag, i1, i2, j1, j2 in matcher.get_opcodes():
+        if tag == "equal":
+            rows.extend(DiffRow("same", left[i], right[j]) for i, j in zip(range(i1, i2), range(j1, j2)))
+            continue
+        old, new = left[i1:i2], right[j1:j2]
+        # Replaced blocks: pair lines in order while they still look alike.
+        paired = 0
+        while paired < min(len(old), len(new)):
+            a, b = old[paired], new[paired]
+            if SequenceMatcher(None, a.text, b.text, autojunk=False).ratio() < _DIFF_MIN_RATIO:
+                break
+            marks_a, marks_b = _word_marks(a.text, b.text)
+            rows.append(
+                DiffRow("changed", DiffCell(a.page, a.text, marks_a), DiffCell(b.page, b.text, marks_b))
+            )
+            paired += 1
+        rows.extend(DiffRow("removed", left=cell) for cell in old[paired:])
+        rows.extend(DiffRow("added", right=cell) for cell in new[paired:])
+    return rows
+
+
+def _fold_unchanged(rows: list[DiffRow]) -> list[DiffRow]:
+    # Keep _DIFF_CONTEXT unchanged lines next to each change (and every
+    # section heading); fold the rest into "skipped" rows.
+    keep = [row.kind != "same" for row in rows]
+    for index, row in enumerate(rows):
+        if row.kind not in ("same", "section"):
+            for near in range(max(0, index - _DIFF_CONTEXT), min(len(rows), index + _DIFF_CONTEXT + 1)):
+                keep[near] = True
+
+    folded: list[DiffRow] = []
+    run = 0
+    for row, kept in zip(rows, keep):
+        if kept:
+            if run:
+                folded.append(DiffRow("skipped", skipped=run))
+                run = 0
+            folded.append(row)
+        else:
+            run += 1
+    if run:
+        folded.append(DiffRow("skipped", skipped=run))
+    return folded
+
+
+def _compare_editions(old: BookletItem, new: BookletItem) -> EditionDiff:
+    index = _search_index()
+    left = _diff_sections(index.get(old.filename, ()))
+    right = _diff_sections(index.get(new.filename, ()))
+
+    # Align sections by title first (renumbered sections still pair up),
+    # then diff the lines inside each pair.
+    rows: list[DiffRow] = []
+    matcher = SequenceMatcher(
+        None, [_section_title_key(t) for t, _ in left], [_section_title_key(t) for t, _ in right], autojunk=False
+    )
+    for _, i1, i2, j1, j2 in matcher.get_opcodes():
+        # Equal titles pair up; in a replaced block, sections at the same
+        # place are most likely renamed. Leftovers were dropped or added.
+        paired = min(i2 - i1, j2 - j1)
+        for (_, cells_a), (_, cells_b) in zip(left[i1 : i1 + paired], right[j1 : j1 + paired]):
+            rows.extend(_diff_lines(cells_a, cells_b))
+        for _, cells in left[i1 + paired : i2]:
+            rows.extend(DiffRow("removed", left=cell) for cell in cells)
+        for _, cells in right[j1 + paired : j2]:
+            rows.extend(DiffRow("added", right=cell) for cell in cells)
+
+    # Section headings become their own rows so both panes can show them.
+    marked = []
+    for row in rows:
+        cell = row.right or row.left
+        if cell and _heading_from_line(cell.text) and row.kind == "same":
+            marked.append(DiffRow("section", row.left, row.right))
+        else:
+            marked.append(row)
+
+    folded = tuple(_fold_unchanged(marked))
+    old_pages: dict[int, int] = {}
+    new_pages: dict[int, int] = {}
+    for index, row in enumerate(folded):
+        if row.kind in ("added", "removed", "changed"):
+            if row.left:
+                old_pages.setdefault(row.left.page, index)
+            if row.right:
+                new_pages.setdefault(row.right.page, index)
+
+    counts = {kind: sum(1 for row in marked if row.kind == kind) for kind in ("added", "removed", "changed")}
+    return EditionDiff(
+        old=old,
+        new=new,
+        rows=folded,
+        old_pages=dict(sorted(old_pages.items())),
+        new_pages=dict(sorted(new_pages.items())),
+        added=counts["added"],
+        removed=counts["removed"],
+        changed=counts["changed"],
+    )
+
+
+# -------------------------
+# Uploads
+# -------------------------
+
+# Every PDF starts with this header; anything else is rejected whatever its
+# filename or Content-Type says.
+_PDF_MAGIC = b"%PDF-"
+
+
+class UploadError(ValueError):
+    # `message` is the English msgid; upload_api() translates it and then
+    # fills in `values`.
+    def __init__(self, message: str, **values):
+        super().__init__(message.format(**values))
+        self.message = message
+        self.values = values
+
+
+@dataclass(frozen=True)
+class UploadResult:
+    item: BookletItem
+    # Where the replaced file went, relative to BASE_DIR ("" if new).
+    archived: str
+
+
+def _upload_token_ok(config_token: str, header: str) -> bool:
+    # "Authorization: Bearer <token>"; constant-time compare.
+    scheme, _, given = header.partition(" ")
+    if not config_token or scheme.lower() != "bearer":
+        return False
+    return hmac.compare_digest(given.strip().encode(), config_token.encode())
+
+
+def _check_upload_filename(filename: str) -> re.Match:
+    # Same name_year.pdf rule the listing uses, and a bare filename: no
+    # directories, no hidden files.
+    if not filename or filename != Path(filename).name or filename.startswith(".") or "\\" in filename:
+        raise UploadError("Use a plain file name such as Physics_2025.pdf.")
+    match = _FILENAME_RE.match(filename)
+    if not match:
+        raise UploadError("{filename} doesn't match name_year.pdf (e.g. Physics_2025.pdf).", filename=filename)
+    return match
+
+
+def _existing_name(name: str) -> str:
+    # "physics" is the Physics subject if booklets/ has a Physics_*.pdf, so
+    # a differently-cased upload doesn't start a second subject.
+    for entry in _booklet_filenames():
+        match = _FILENAME_RE.match(entry)
+        if match and match.group("name").lower() == name.lower():
+            return match.group("name")
+    return name
+
+
+def _save_booklet(filename: str, stream) -> UploadResult:
+    match = _check_upload_filename(filename)
+    if stream.read(len(_PDF_MAGIC)) != _PDF_MAGIC:
+        raise UploadError("{filename} is not a PDF file.", filename=filename)
+    stream.seek(0)
+    filename = f"{_existing_name(match.group('name'))}_{match.group('year')}.pdf"
+
+    BOOKLETS_FOLDER.mkdir(exist_ok=True)
+    target = BOOKLETS_FOLDER / filename
+    # Written next to the target first, so a half-finished upload is never
+    # listed (the listing only picks up *.pdf) and the swap is atomic. Each
+    # upload gets its own temp file, so two of the same name can't mix.
+    fd, tmp_name = tempfile.mkstemp(dir=BOOKLETS_FOLDER, prefix=f".{filename}.", suffix=".upload")
+    tmp = Path(tmp_name)
+    try:
+        with os.fdopen(fd, "wb") as fh:
+            # mkstemp makes it private; booklets are served like any other file.
+            os.fchmod(fh.fileno(), 0o644)
+            for chunk in iter(lambda: stream.read(1 << 16), b""):
+                fh.write(chunk)
+
+        # The header alone lets truncated files through, and those break
+        # search, contents and compare; pypdf has to be able to open it.
+        try:
+            pages = len(PdfReader(tmp).pages)
+        except (PdfReadError, OSError) as err:
+            raise UploadError(
+                "{filename} is damaged or not a complete PDF ({error}).", filename=filename, error=err
+            ) from err
+        if not pages:
+            raise UploadError("{filename} has no pages.", filename=filename)
+
+        archived = ""
+        if target.exists():
+            BOOKLET_ARCHIVE_FOLDER.mkdir(parents=True, exist_ok=True)
+            stamp = datetime.now().strftime("%Y%m%dT%H%M%S")
+            archive = BOOKLET_ARCHIVE_FOLDER / f"{target.stem}.{stamp}.pdf"
+            counter = 1
+            while archive.exists():
+                counter += 1
+                archive = BOOKLET_ARCHIVE_FOLDER / f"{target.stem}.{stamp}-{counter}.pdf"
+            os.replace(target, archive)
+            archived = archive.relative_to(BASE_DIR).as_posix()
+        os.replace(tmp, target)
+    finally:
+        tmp.unlink(missing_ok=True)
+
+    item = next(item for item in _load_booklets() if item.filename == filename)
+    return UploadResult(item=item, archived=archived)
+
+
+# -------------------------
+# Localisation
+# -------------------------
+
+# Message ids are the English strings, so English needs no catalog; a
+# missing entry in another catalog falls back to English too.
+DEFAULT_LOCALE = "en"
+# Locale -> its name in that language, for the navbar switcher.
+LOCALES: dict[str, str] = {"en": "English", "es": "Español", "ca": "Català"}
+LOCALE_COOKIE = "lang"
+_LOCALE_COOKIE_MAX_AGE = 365 * 24 * 60 * 60
+_PLACEHOLDER_RE = re.compile(r"\{(\w+)\}")
+
+# Strings the page scripts build themselves; base.html hands their
+# translations to static/js/i18n.js.
+_JS_MESSAGES = (
+    "{name} edition",
+    "Undated",
+    "SL",
+    "HL",
+    "SL and HL",
+    "First exams {year}",
+    "Could not load the booklets. Reload the page to try again.",
+    "You're offline and the booklet list isn't saved on this device yet.",
+    "Pin {booklet}",
+    "Contents of {booklet}",
+    "Pin to top",
+    "Unpin",
+    "Make available offline",
+    "Remove offline copy",
+    "Saving…",
+    "Removing…",
+    "Offline · {size}",
+    "{booklet}, {position} of {count}",
+    "{visible} of {total} booklet shown",
+    "{visible} of {total} booklets shown",
+    "No booklets match the current filters",
+    "{paper} is on now",
+    "{paper} {when}",
+    "Page {page}",
+    "Page {page} of {count}",
+    "Loading…",
+    "Could not display this PDF here. Use “Open in new tab” instead.",
+    "Copy this link:",
+    "Copied",
+    "Animations reduced (system setting)",
+    "No reaction here",
+    "Name it name_year.pdf, e.g. Physics_2025.pdf.",
+    "Too large ({size}, limit {limit}).",
+    "Not a PDF file.",
+    "replaces the current file (archived)",
+    "new booklet",
+    "Remove {filename}",
+    "Enter the upload token first.",
+    "Uploading {filename}…",
+    "Uploaded.",
+    "Uploaded as {filename}.",
+    "Uploaded; the old copy is in {archived}.",
+    "Uploaded as {filename}; the old copy is in {archived}.",
+    "Not uploaded.",
+    "Wrong upload token.",
+    "Upload failed (HTTP {code}).",
+    "Upload failed: no connection.",
+    "{count} booklet uploaded.",
+    "{count} booklets uploaded.",
+)
+
+
+@dataclass(frozen=True)
+class Catalog:
+    messages: dict[str, str]
+    # BookletItem.name -> display name ("Chemistry" -> "Química").
+    subjects: dict[str, str]
+
+
+_EMPTY_CATALOG = Catalog(messages={}, subjects={})
+
+# locale -> ((mtime_ns, size), catalog), like _HASH_CACHE.
+_CATALOG_CACHE: dict[str, tuple[tuple[int, int], Catalog]] = {}
+
+
+def _load_catalog(locale: str) -> Catalog:
+    path = TRANSLATIONS_FOLDER / f"{locale}.json"
+    try:
+        stat = path.stat()
+    except FileNotFoundError:
+        return _EMPTY_CATALOG
+    key = (stat.st_mtime_ns, stat.st_size)
+    cached = _CATALOG_CACHE.get(locale)
+    if cached and cached[0] == key:
+        return cached[1]
+
+    raw = json.loads(path.read_text(encoding="utf-8"))
+    try:
+        messages = dict(raw.get("messages", {}))
+        subjects = dict(raw.get("subjects", {}))
+        for msgid, text in list(messages.items()) + list(subjects.items()):
+            if not isinstance(text, str):
+                raise ValueError(f"{msgid!r} is not a string")
+        for msgid, text in messages.items():
+            if set(_PLACEHOLDER_RE.findall(msgid)) != set(_PLACEHOLDER_RE.findall(text)):
+                raise ValueError(f"{msgid!r}: placeholders differ in {text!r}")
+    except (AttributeError, TypeError, ValueError) as exc:
+        raise ValueError(f"Invalid translations in {path.name}: {exc}") from exc
+
+    catalog = Catalog(messages=messages, subjects=subjects)
+    _CATALOG_CACHE[locale] = (key, catalog)
+    return catalog
+
+
+def _translate(locale: str, message: str) -> str:
+    return _load_catalog(locale).messages.get(message) or message
+
+
+def _subject_title(locale: str, name: str, title: str = "") -> str:
+    # The catalog's name for this language, else the manifest title.
+    return _load_catalog(locale).subjects.get(name) or title or name
+
+
+def _request_locale() -> str:
+    # The switcher's cookie, else the best match for Accept-Language.
+    if "locale" not in g:
+        chosen = request.cookies.get(LOCALE_COOKIE, "")
+        if chosen not in LOCALES:
+            chosen = request.accept_languages.best_match(list(LOCALES), default=DEFAULT_LOCALE)
+        g.locale = chosen
+    return g.locale
+
+
+def _safe_next(target: str) -> str:
+    # Only paths on this site; "//host" and "/\\host" leave it.
+    if not target.startswith("/") or target.startswith(("//", "/\\")):
+        return ""
+    return target
+
+
 def create_app() -> Flask:
     app = Flask(__name__)
 
@@ -48,34 +1360,71 @@ def create_app() -> Flask:
         GITHUB_REPO_URL=os.environ.get(
             "GITHUB_REPO_URL", "https://github.com/sumyin/formula_booklet_website"
         ),
+        # /upload is off unless a token is set.
+        UPLOAD_TOKEN=os.environ.get("UPLOAD_TOKEN", ""),
+        MAX_CONTENT_LENGTH=int(os.environ.get("MAX_UPLOAD_MB", "50")) * 1024 * 1024,
     )
 
+    app.url_map.converters["subject"] = _SubjectConverter
+
+    # Fail now, with every problem listed, rather than on the first request.
+    for warning in _manifest_warnings(_load_manifest()):
+        app.logger.warning("booklets/%s: %s", MANIFEST_FILE.name, warning)
+
+    @app.context_processor
+    def i18n_context():
+        locale = _request_locale()
+
+        def gettext(message: str, **values) -> Markup:
+            # The catalog text is escaped, and so are the values unless they
+            # are already markup ({% set %} blocks), e.g.
+            #   {% set folder %}<code>booklets/</code>{% endset %}
+            #   {{ _('PDFs are served from the {folder} folder.', folder=folder) }}
+            return Markup.escape(_translate(locale, message)).format(**values)
+
+        return {
+            "_": gettext,
+            "locale": locale,
+            "locales": LOCALES,
+            "subject_title": lambda name, title="": _subject_title(locale, name, title),
+            "js_messages": {msgid: _translate(locale, msgid) for msgid in _JS_MESSAGES}
+            if locale != DEFAULT_LOCALE
+            else {},
+        }
+
+    @app.after_request
+    def vary_on_locale(response):
+        # Pages and /api/booklets differ by language; keep shared caches apart.
+        if "locale" in g:
+            response.vary.add("Cookie")
+            response.vary.add("Accept-Language")
+        return response
+
+    @app.get("/language/<code>")
+    def set_language(code: str):
+        if code not in LOCALES:
+            abort(404)
+        response = redirect(_safe_next(request.args.get("next", "")) or url_for("index"))
+        response.set_cookie(LOCALE_COOKIE, code, max_age=_LOCALE_COOKIE_MAX_AGE, samesite="Lax")
+        return response
+
     @app.get("/")
     def index():
-        items: list[BookletItem] = []
-        if BOOKLETS_FOLDER.exists() and BOOKLETS_FOLDER.is_dir():
-            for entry in sorted(os.listdir(BOOKLETS_FOLDER)):
-                if not entry.lower().endswith(".pdf"):
-                    continue
-
-                match = _FILENAME_RE.match(entry)
-                if match:
-                    name = match.group("name")
-                    year = match.group("year")
-                else:
-                    name = os.path.splitext(entry)[0]
-                    year = ""
-
-                items.append(
-                    BookletItem(
-                        filename=entry,
-                        name=name,
-                        year=year,
-                        effect=_effect_for_booklet(name=name, filename=entry),
-                    )
-                )
+        schedule = _load_exam_schedule()
+        items, schedule_pdf = _split_schedule_pdf(_load_booklets(), schedule)
 
-        return render_template("index.html", items=items, active_page="home")
+        # Cards are rendered client-side from /api/booklets; `items` feeds
+        # the empty state and the <noscript> fallback.
+        return render_template(
+            "index.html",
+            items=items,
+            schedule=schedule,
+            schedule_pdf=schedule_pdf,
+            now=datetime.now(ZoneInfo(schedule.timezone)) if schedule else None,
+            weekday_names=_WEEKDAY_NAMES,
+            month_names=_MONTH_NAMES,
+            active_page="home",
+        )
 
     @app.get("/contact")
     def contact():
@@ -84,6 +1433,7 @@ def create_app() -> Flask:
             active_page="contact",
             contact_email=app.config["CONTACT_EMAIL"],
             github_repo_url=app.config["GITHUB_REPO_URL"],
+            upload_enabled=bool(app.config["UPLOAD_TOKEN"]),
         )
 
     @app.get("/booklets/<path:filename>")
@@ -91,7 +1441,246 @@ def create_app() -> Flask:
         # Serve the PDF file
         if not filename.lower().endswith(".pdf"):
             abort(404)
-        return send_from_directory(BOOKLETS_FOLDER, filename)
+        response = send_from_directory(BOOKLETS_FOLDER, filename)
+        # Lets the service worker tell whether its offline copy is current.
+        path = safe_join(str(BOOKLETS_FOLDER), filename)
+        if path:
+            response.headers["X-Booklet-Hash"] = _booklet_hash(Path(path))
+        return response
+
+    @app.get("/booklets/<subject:name>")
+    def booklet_detail(name: str):
+        # One subject's editions, each with its table of contents.
+        items, _ = _split_schedule_pdf(_load_booklets(), _load_exam_schedule())
+        subject = next((s for s in _group_booklets(items) if s.name.lower() == name.lower()), None)
+        if subject is None:
+            abort(404)
+
+        year = request.args.get("year", "")
+        selected = next((item for item in subject.editions if item.year == year), subject.latest)
+        return render_template(
+            "booklet.html",
+            subject=subject,
+            selected=selected,
+            editions=[(item, _contents_tree(_booklet_contents(item.filename))) for item in subject.editions],
+            active_page="home",
+        )
+
+    @app.get("/compare")
+    def compare():
+        # ?a=Physics_2016.pdf&b=Physics_2025.pdf: `a` on the left (older),
+        # `b` on the right. Without both, just the picker and suggestions.
+        items, _ = _split_schedule_pdf(_load_booklets(), _load_exam_schedule())
+        by_filename = {item.filename: item for item in items}
+        a = request.args.get("a", "")
+        b = request.args.get("b", "")
+
+        diff, error = None, ""
+        if a or b:
+            if a not in by_filename or b not in by_filename:
+                error = _translate(_request_locale(), "Pick two booklets from the lists.")
+            elif a == b:
+                error = _translate(_request_locale(), "Pick two different booklets.")
+            else:
+                diff = _compare_editions(by_filename[a], by_filename[b])
+
+        return render_template(
+            "compare.html",
+            items=items,
+            pairs=_edition_pairs(items),
+            a=a,
+            b=b,
+            diff=diff,
+            error=error,
+            active_page="compare",
+        )
+
+    @app.get("/upload")
+    def upload():
+        # The page itself is public; the token is checked on each upload.
+        if not app.config["UPLOAD_TOKEN"]:
+            abort(404)
+        return render_template(
+            "upload.html",
+            existing=_booklet_filenames(),
+            # _FILENAME_RE for the browser: JS spells named groups (?<name>).
+            filename_pattern=_FILENAME_RE.pattern.replace("(?P<", "(?<"),
+            max_upload_bytes=app.config["MAX_CONTENT_LENGTH"],
+            active_page="upload",
+        )
+
+    @app.post("/api/upload")
+    def upload_api():
+        if not app.config["UPLOAD_TOKEN"]:
+            abort(404)
+        if not _upload_token_ok(app.config["UPLOAD_TOKEN"], request.headers.get("Authorization", "")):
+            return jsonify(error=_translate(_request_locale(), "Wrong or missing upload token.")), 401
+
+        upload = request.files.get("file")
+        if upload is None:
+            return jsonify(error=_translate(_request_locale(), "No file in the request.")), 400
+        try:
+            result = _save_booklet(upload.filename or "", upload.stream)
+        except UploadError as exc:
+            return jsonify(error=_translate(_request_locale(), exc.message).format(**exc.values)), 400
+
+        item = result.item
+        app.logger.info("Uploaded %s (archived: %s)", item.filename, result.archived or "-")
+        return (
+            jsonify(
+                filename=item.filename,
+                name=item.name,
+                year=item.year,
+                url=url_for("serve_booklet", filename=item.filename),
+                replaced=bool(result.archived),
+                archived=result.archived,
+            ),
+            201,
+        )
+
+    @app.errorhandler(413)
+    def too_large(exc):
+        if request.path.startswith("/api/"):
+            limit = app.config["MAX_CONTENT_LENGTH"] // (1024 * 1024)
+            message = _translate(_request_locale(), "File is larger than {limit} MB.")
+            return jsonify(error=message.format(limit=limit)), 413
+        return exc
+
+    @app.get("/api/booklets")
+    def booklets_api():
+        items, _ = _split_schedule_pdf(_load_booklets(), _load_exam_schedule())
+
+        def edition(item: BookletItem) -> dict:
+            return {
+                "filename": item.filename,
+                "year": item.year,
+                "url": url_for("serve_booklet", filename=item.filename),
+                "contents_url": url_for("booklet_detail", name=item.name, year=item.year or None),
+                # booklets/manifest.json; "" when not given.
+                "level": item.level,
+                "first_exam": item.first_exam,
+                "syllabus_code": item.syllabus_code,
+                "description": item.description,
+                "accent": item.accent,
+            }
+
+        return jsonify(
+            subjects=[
+                {
+                    "name": subject.name,
+                    "title": _subject_title(_request_locale(), subject.name, subject.latest.title),
+                    # Effect settings follow the latest edition.
+                    "effect": subject.latest.effect,
+                    "fx_options": dict(subject.latest.fx_options),
+                    "exam_subject": subject.latest.exam_subject,
+                    "latest": subject.latest.filename,
+                    "editions": [edition(item) for item in subject.editions],
+                }
+                for subject in _group_booklets(items)
+            ]
+        )
+
+    @app.get("/search")
+    def search():
+        query = request.args.get("q", "").strip()
+        subject = request.args.get("subject", "")
+        items, _ = _split_schedule_pdf(_load_booklets(), _load_exam_schedule())
+        hits = _search_booklets(query, items, subject) if query else []
+
+        # Hits arrive grouped by subject already; keep that order.
+        groups: dict[str, list[SearchHit]] = {}
+        for hit in hits:
+            groups.setdefault(hit.item.name, []).append(hit)
+
+        return render_template(
+            "search.html",
+            query=query,
+            groups=list(groups.items()),
+            hit_count=len(hits),
+            active_page="search",
+        )
+
+    @app.get("/api/search")
+    def search_api():
+        # ?q=kinetic+energy[&subject=physics]: page hits across all booklets,
+        # grouped by subject (the given one first), headings first.
+        query = request.args.get("q", "").strip()
+        items, _ = _split_schedule_pdf(_load_booklets(), _load_exam_schedule())
+        hits = _search_booklets(query, items, request.args.get("subject", "")) if query else []
+        return jsonify(
+            query=query,
+            results=[
+                {
+                    "name": hit.item.name,
+                    "title": _subject_title(_request_locale(), hit.item.name, hit.item.title),
+                    "year": hit.item.year,
+                    "filename": hit.item.filename,
+                    "exam_subject": hit.item.exam_subject,
+                    "page": hit.page,
+                    "url": hit.url,
+                    "heading": hit.heading,
+                    "snippet": hit.snippet,
+                    "highlights": [list(span) for span in hit.highlights],
+                }
+                for hit in hits
+            ],
+        )
+
+    @app.get("/api/offline-manifest")
+    def offline_manifest():
+        # Every booklet with its content hash; the service worker drops
+        # cached copies whose hash no longer matches (or whose file is gone).
+        booklets = []
+        for entry in _booklet_filenames():
+            path = BOOKLETS_FOLDER / entry
+            booklets.append(
+                {
+                    "filename": entry,
+                    "url": url_for("serve_booklet", filename=entry),
+                    "size": path.stat().st_size,
+                    "hash": _booklet_hash(path),
+                }
+            )
+        response = jsonify(booklets=booklets)
+        response.headers["Cache-Control"] = "no-store"
+        return response
+
+    @app.get("/api/exams")
+    def exams():
+        schedule = _load_exam_schedule()
+        if schedule is None:
+            return jsonify(title="", timezone="", source_url=None, papers=[])
+
+        source_url = None
+        if schedule.source and (BOOKLETS_FOLDER / schedule.source).is_file():
+            source_url = url_for("serve_booklet", filename=schedule.source)
+
+        locale = _request_locale()
+        return jsonify(
+            title=schedule.title,
+            timezone=schedule.timezone,
+            source_url=source_url,
+            papers=[
+                {
+                    "subject": paper.subject,
+                    "subject_title": _subject_title(locale, paper.subject, paper.subject_title),
+                    "paper": paper.paper,
+                    "date": paper.date.isoformat(),
+                    "session": paper.session,
+                    "starts_at": paper.starts_at.isoformat(),
+                    "ends_at": paper.ends_at.isoformat(),
+                    "durations": dict(paper.durations),
+                }
+                for paper in schedule.papers
+            ],
+        )
+
+    @app.get("/sw.js")
+    def service_worker():
+        # Served from the site root so the worker's scope covers every page.
+        response = send_from_directory(Path(app.static_folder) / "js", "sw.js", max_age=0)
+        response.headers["Cache-Control"] = "no-cache"
+        return response
 
     return app
 
@@ -0,0 +1,193 @@
+/* Booklet cards rendered from /api/booklets.
+
+   Goals:
+   - One card per subject; every year of it is an edition in a <select>
+     that defaults to the latest one (older years stay there for past-paper
+     practice).
+   - Cards keep the DOM contract the other scripts rely on: [data-booklet]
+     with data-name / data-year / data-filename / data-offline-url and
+     a[data-pdf-view]. data-editions holds the full list as JSON.
+   - data-name stays the booklet name from the filename (filters, URLs);
+     data-title is the localised name shown to the reader ("Química").
+   - Editions may carry booklets/manifest.json metadata: level, first exam
+     and syllabus code become badges, plus a description and an accent
+     colour (--booklet-accent). All of it follows the selected edition.
+   - "Contents" links to the subject page (/booklets/<name>) with the
+     selected edition open.
+   - Effects attach by themselves: the page sets data-fx-observe on <body>.
+   - If /api/booklets can't be reached (offline before the service worker
+     kept a copy, or a server error), the grid says so instead of staying
+     empty.
+   - Fires `booklets:rendered` once the grid is filled and `booklets:change`
+     whenever a card switches edition.
+*/
+
+(function () {
+  function buildCard(template, subject) {
+    const col = template.content.firstElementChild.cloneNode(true);
+    const card = col.querySelector('.card');
+
+    col.dataset.name = subject.name;
+    col.dataset.title = subject.title || subject.name;
+    col.dataset.editions = JSON.stringify(subject.editions);
+    if (subject.exam_subject) col.dataset.examSubject = subject.exam_subject;
+    else col.querySelector('[data-exam-countdown]').remove();
+
+    if (subject.effect) {
+      card.classList.add('fx-card');
+      card.dataset.fx = subject.effect;
+      for (const [option, value] of Object.entries(subject.fx_options || {})) {
+        card.setAttribute('data-fx-' + option, value);
+      }
+
+      // The registry knows what the effect draws into, including effects
+      // other scripts registered (e.g. one named in booklets/manifest.json).
+      const kind = window.CardEffects ? CardEffects.layer(subject.effect) : '';
+      let layer = null;
+      if (kind === 'matrix') {
+        layer = document.createElement('div');
+        layer.className = 'fx-matrix';
+      } else if (kind === 'canvas') {
+        layer = document.createElement('canvas');
+        layer.className = 'fx-canvas';
+      }
+      if (layer) {
+        layer.setAttribute('aria-hidden', 'true');
+        card.prepend(layer);
+      }
+    }
+
+    const title = col.querySelector('[data-card-title]');
+    title.textContent = col.dataset.title;
+    // The card itself takes keyboard focus (booklet-grid-nav.js).
+    title.id = 'booklet-title-' + subject.latest.replace(/[^\w-]/g, '-');
+    card.setAttribute('aria-labelledby', title.id);
+
+    const picker = col.querySelector('[data-edition-picker]');
+    const select = picker.querySelector('[data-edition]');
+    const label = picker.querySelector('[data-edition-label]');
+    select.id = 'edition-' + subject.latest.replace(/[^\w-]/g, '-');
+    label.htmlFor = select.id;
+    label.textContent = I18n.t('{name} edition', { name: col.dataset.title });
+    for (const edition of subject.editions) {
+      select.add(new Option(edition.year || I18n.t('Undated'), edition.filename));
+    }
+    picker.hidden = subject.editions.length < 2;
+
+    selectEdition(col, subject.latest);
+    return col;
+  }
+
+  function editionsOf(col) {
+    try {
+      return JSON.parse(col.dataset.editions || '[]');
+    } catch (_) {
+      return [];
+    }
+  }
+
+  function renderMeta(col, edition) {
+    const labels = [];
+    if (edition.level) labels.push(I18n.t(edition.level === 'both' ? 'SL and HL' : edition.level));
+    if (edition.first_exam) labels.push(I18n.t('First exams {year}', { year: edition.first_exam }));
+    if (edition.syllabus_code) labels.push(edition.syllabus_code);
+
+    const badges = col.querySelector('[data-card-badges]');
+    badges.textContent = '';
+    for (const text of labels) {
+      const badge = document.createElement('span');
+      badge.className = 'badge rounded-pill booklet-badge';
+      badge.textContent = text;
+      badges.appendChild(badge);
+    }
+    badges.hidden = !labels.length;
+
+    const description = col.querySelector('[data-card-description]');
+    description.textContent = edition.description || '';
+    description.hidden = !edition.description;
+
+    const card = col.querySelector('.card');
+    if (edition.accent) card.style.setProperty('--booklet-accent', edition.accent);
+    else card.style.removeProperty('--booklet-accent');
+    card.classList.toggle('has-accent', Boolean(edition.accent));
+  }
+
+  function selectEdition(col, filename) {
+    const edition = editionsOf(col).find((e) => e.filename === filename);
+    if (!edition) return false;
+
+    col.dataset.year = edition.year;
+    col.dataset.filename = edition.filename;
+    col.dataset.offlineUrl = edition.url;
+
+    col.querySelector('[data-edition]').value = edition.filename;
+    col.querySelector('[data-card-year]').textContent = edition.year || ' ';
+    col.querySelector('[data-card-filename]').textContent = edition.filename;
+    renderMeta(col, edition);
+
+    const booklet = `${col.dataset.title} ${edition.year}`.trim();
+    const fav = col.querySelector('[data-fav-toggle]');
+    fav.setAttribute('aria-label', I18n.t('Pin {booklet}', { booklet }));
+
+    const link = col.querySelector('a[data-pdf-view]');
+    link.href = edition.url;
+    link.dataset.pdfView = edition.filename;
+
+    const contents = col.querySelector('a[data-contents-link]');
+    contents.href = edition.contents_url;
+    contents.setAttribute('aria-label', I18n.t('Contents of {booklet}', { booklet }));
+    return true;
+  }
+
+  function loadError() {
+    const col = document.createElement('div');
+    col.className = 'col-12';
+    const alert = document.createElement('div');
+    alert.className = 'alert alert-warning mb-0';
+    alert.setAttribute('role', 'alert');
+    alert.textContent = navigator.onLine
+      ? I18n.t('Could not load the booklets. Reload the page to try again.')
+      : I18n.t("You're offline and the booklet list isn't saved on this device yet.");
+    col.appendChild(alert);
+    return col;
+  }
+
+  async function init() {
+    const grid = document.getElementById('booklet-grid');
+    const template = document.getElementById('booklet-card-template');
+    if (!grid || !template || !grid.dataset.bookletsSrc) return;
+
+    let subjects = null;
+    try {
+      const res = await fetch(grid.dataset.bookletsSrc);
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      subjects = (await res.json()).subjects;
+    } catch (err) {
+      console.warn('booklet-cards: could not load booklets', err);
+    }
+
+    grid.textContent = '';
+    if (subjects) {
+      for (const subject of subjects) grid.appendChild(buildCard(template, subject));
+    } else {
+      grid.appendChild(loadError());
+    }
+    grid.removeAttribute('aria-busy');
+
+    grid.addEventListener('change', (evt) => {
+      const select = evt.target.closest('[data-edition]');
+      const col = select && select.closest('[data-booklet]');
+      if (col && col.dataset.filename !== select.value && selectEdition(col, select.value)) {
+        document.dispatchEvent(new CustomEvent('booklets:change'));
+      }
+    });
+
+    document.dispatchEvent(new CustomEvent('booklets:rendered'));
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,86 @@
+/* Side-by-side edition comparison (compare.html).
+
+   Goals:
+   - The two panes scroll together: row N on the left always sits next to
+     row N on the right. Each row pair gets the height of its taller side,
+     so plain scrollTop syncing is enough.
+   - "Changed pages" links in the summary scroll both panes to that row.
+   - Without JS the panes still work, they just scroll on their own.
+*/
+
+(function () {
+  function init() {
+    const root = document.querySelector('[data-compare]');
+    if (!root) return;
+    const panes = Array.from(root.querySelectorAll('[data-compare-pane]'));
+    if (panes.length !== 2) return;
+
+    const rows = panes.map((pane) => Array.from(pane.querySelectorAll('[data-row]')));
+
+    function level() {
+      const [left, right] = rows;
+      for (const row of left.concat(right)) row.style.minHeight = '';
+      // Read every height before writing any, so layout runs once.
+      const heights = left.map((row, i) => Math.max(row.offsetHeight, right[i] ? right[i].offsetHeight : 0));
+      heights.forEach((h, i) => {
+        left[i].style.minHeight = h + 'px';
+        if (right[i]) right[i].style.minHeight = h + 'px';
+      });
+    }
+
+    // The pane being scrolled by the user drives the other one; the echo
+    // scroll event from the follower is ignored.
+    let leader = null;
+    let releaseTimer = null;
+    for (const pane of panes) {
+      pane.addEventListener(
+        'scroll',
+        () => {
+          if (leader && leader !== pane) return;
+          leader = pane;
+          const other = panes[0] === pane ? panes[1] : panes[0];
+          other.scrollTop = pane.scrollTop;
+          other.scrollLeft = pane.scrollLeft;
+          clearTimeout(releaseTimer);
+          releaseTimer = setTimeout(() => {
+            leader = null;
+          }, 100);
+        },
+        { passive: true }
+      );
+    }
+
+    function jumpTo(index) {
+      const target = rows[0][index];
+      if (!target) return;
+      leader = null;
+      panes[0].scrollTop = target.offsetTop - panes[0].offsetTop - 8;
+      panes[1].scrollTop = panes[0].scrollTop;
+      panes[0].scrollIntoView({ block: 'nearest' });
+    }
+
+    document.addEventListener('click', (evt) => {
+      const link = evt.target.closest('[data-compare-jump]');
+      if (!link) return;
+      evt.preventDefault();
+      jumpTo(Number(link.dataset.compareJump));
+    });
+
+    let resizeTimer = null;
+    window.addEventListener('resize', () => {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(level, 150);
+    });
+
+    level();
+    if (window.location.hash.startsWith('#compare-row-')) {
+      jumpTo(Number(window.location.hash.slice('#compare-row-'.length)));
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
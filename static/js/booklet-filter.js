@@ -0,0 +1,167 @@
+/* Live search / filter / sort for the booklet grid.
+
+   Goals:
+   - Works on the cards from booklet-cards.js (data-name / data-year per
+     column, data-editions for every year of a subject).
+   - State lives in the URL query string so a filtered view can be shared.
+   - Cards are moved/hidden, never re-created, so [data-fx] listeners survive.
+   - Picking a year switches matching cards to that edition.
+   - Fires `booklets:filtered` ({ visible, total, key }) after every pass.
+*/
+
+(function () {
+  const PARAMS = ['q', 'subject', 'year', 'sort'];
+
+  function init() {
+    const form = document.getElementById('booklet-filters');
+    const grid = document.getElementById('booklet-grid');
+    if (!form || !grid) return;
+
+    const inputs = {
+      q: form.elements.namedItem('q'),
+      subject: form.elements.namedItem('subject'),
+      year: form.elements.namedItem('year'),
+      sort: form.elements.namedItem('sort'),
+    };
+    const noMatch = document.getElementById('booklet-no-match');
+
+    function cards() {
+      return Array.from(grid.querySelectorAll('[data-booklet]'));
+    }
+
+    function editionsOf(el) {
+      try {
+        return JSON.parse(el.dataset.editions || '[]');
+      } catch (_) {
+        return [];
+      }
+    }
+
+    function readState() {
+      return {
+        q: inputs.q.value.trim(),
+        subject: inputs.subject.value,
+        year: inputs.year.value,
+        sort: inputs.sort.value || 'name',
+      };
+    }
+
+    function writeStateFromUrl() {
+      const params = new URLSearchParams(window.location.search);
+      for (const key of PARAMS) {
+        const input = inputs[key];
+        if (!input) continue;
+        const value = params.get(key) || '';
+        if (input.tagName === 'SELECT') {
+          // Ignore values that aren't offered (stale/shared links).
+          const known = Array.from(input.options).some((o) => o.value === value);
+          input.value = known ? value : input.options[0].value;
+        } else {
+          input.value = value;
+        }
+      }
+    }
+
+    function syncUrl(state) {
+      const params = new URLSearchParams(window.location.search);
+      for (const key of PARAMS) {
+        const value = state[key];
+        // Keep URLs short: drop defaults.
+        if (!value || (key === 'sort' && value === 'name')) params.delete(key);
+        else params.set(key, value);
+      }
+      const qs = params.toString();
+      const url = window.location.pathname + (qs ? '?' + qs : '') + window.location.hash;
+      window.history.replaceState(null, '', url);
+    }
+
+    function matches(el, state, terms, editions) {
+      const name = el.dataset.name || '';
+      if (state.subject && name !== state.subject) return false;
+      if (state.year && !editions.some((e) => e.year === state.year)) return false;
+      if (!terms.length) return true;
+
+      const haystack = [name, el.dataset.title || '']
+        .concat(editions.map((e) => `${e.year} ${e.filename} ${e.syllabus_code || ''}`))
+        .join(' ')
+        .toLowerCase();
+      return terms.every((t) => haystack.includes(t));
+    }
+
+    // Show the edition the year filter asked for; booklet-cards.js updates
+    // the card and fires `booklets:change`, which lands back in apply().
+    function showYear(el, year, editions) {
+      const edition = editions.find((e) => e.year === year);
+      const select = el.querySelector('[data-edition]');
+      if (!edition || !select || el.dataset.filename === edition.filename) return;
+      select.value = edition.filename;
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    function compare(a, b, sort) {
+      // Starred booklets (booklet-shelf.js) always come first.
+      const byPin = (b.dataset.pinned === '1') - (a.dataset.pinned === '1');
+      if (byPin) return byPin;
+
+      // By the name on the card, which may be localised.
+      const titleOf = (el) => el.dataset.title || el.dataset.name || '';
+      const byName = titleOf(a).localeCompare(titleOf(b), undefined, { sensitivity: 'base' });
+      // Missing years sort last when ordering by year.
+      const byYear = (Number(b.dataset.year) || 0) - (Number(a.dataset.year) || 0);
+      if (sort === 'year') return byYear || byName;
+      return byName || byYear;
+    }
+
+    function apply() {
+      const state = readState();
+      const terms = state.q.toLowerCase().split(/\s+/).filter(Boolean);
+
+      const items = cards();
+      const switching = [];
+      let visible = 0;
+      for (const el of items) {
+        // Cards without data-editions are a single edition of themselves.
+        const editions = el.dataset.editions
+          ? editionsOf(el)
+          : [{ year: el.dataset.year || '', filename: el.dataset.filename || '' }];
+        const show = matches(el, state, terms, editions);
+        el.hidden = !show;
+        if (show) visible++;
+        if (show && state.year) switching.push([el, editions]);
+      }
+
+      const sorted = items.slice().sort((a, b) => compare(a, b, state.sort));
+      // Moving a node blurs it: only touch the DOM when the order changed.
+      if (sorted.some((el, i) => el !== items[i])) {
+        for (const el of sorted) grid.appendChild(el);
+      }
+
+      if (noMatch) noMatch.classList.toggle('d-none', visible > 0 || !items.length);
+      syncUrl(state);
+      // `key` changes only when the result does (not on edition switches).
+      document.dispatchEvent(
+        new CustomEvent('booklets:filtered', {
+          detail: { visible, total: items.length, key: JSON.stringify([state, visible, items.length]) },
+        })
+      );
+
+      for (const [el, editions] of switching) showYear(el, state.year, editions);
+    }
+
+    writeStateFromUrl();
+    apply();
+
+    inputs.q.addEventListener('input', apply);
+    document.addEventListener('booklets:change', apply);
+    document.addEventListener('booklets:rendered', apply);
+    for (const key of ['subject', 'year', 'sort']) {
+      inputs[key].addEventListener('change', apply);
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
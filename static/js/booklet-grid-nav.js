@@ -0,0 +1,194 @@
+/* Keyboard navigation and announcements for the booklet grid.
+
+   Goals:
+   - Roving tabindex: the grid is one Tab stop. Arrow keys move between the
+     visible cards (Up/Down by a row, as laid out), Home/End jump to the
+     first/last, Enter opens the card's PDF like clicking "Open PDF".
+   - Only the current card's own controls (edition, star, "Open PDF", ...)
+     stay in the Tab order; other cards' controls are skipped until their
+     card is current.
+   - Focus lands on the .card itself, so card-effects.js starts the effect
+     through the same focusin/focusout path a keyboard user already gets.
+   - One polite aria-live region announces the focused card and, after the
+     filters change (`booklets:filtered`), how many booklets are shown.
+*/
+
+(function () {
+  const ANNOUNCE_DELAY_MS = 600;
+  // tabindex="-1" we put on another card's controls (not the page's own).
+  const PARKED_ATTR = 'data-grid-parked';
+  const CONTROLS = 'a[href], button, input, select, textarea, [tabindex]';
+  const MOVE_KEYS = ['ArrowRight', 'ArrowLeft', 'ArrowDown', 'ArrowUp', 'Home', 'End'];
+
+  function init() {
+    const grid = document.getElementById('booklet-grid');
+    const live = document.getElementById('booklet-announcer');
+    if (!grid) return;
+
+    let current = null;
+    // Focus was on a card or its controls. Re-sorting moves the card's node,
+    // which drops focus to <body> without a focusout we could rely on.
+    let focusInGrid = false;
+    let filterKey = null;
+    let announceTimer = null;
+
+    function announce(text, delay) {
+      if (!live) return;
+      if (announceTimer) clearTimeout(announceTimer);
+      announceTimer = setTimeout(() => {
+        announceTimer = null;
+        // Clear first so the same text is read again.
+        live.textContent = '';
+        window.requestAnimationFrame(() => {
+          live.textContent = text;
+        });
+      }, delay || 0);
+    }
+
+    function cards() {
+      return Array.from(grid.querySelectorAll('[data-booklet]'))
+        .filter((col) => !col.hidden)
+        .map((col) => col.querySelector('.card'))
+        .filter(Boolean);
+    }
+
+    function colOf(card) {
+      return card.closest('[data-booklet]');
+    }
+
+    function describe(card, list) {
+      const col = colOf(card);
+      const booklet = [col.dataset.title || col.dataset.name, col.dataset.year].filter(Boolean).join(' ');
+      return I18n.t('{booklet}, {position} of {count}', { booklet, position: list.indexOf(card) + 1, count: list.length });
+    }
+
+    function park(card, parked) {
+      card.tabIndex = parked ? -1 : 0;
+      for (const el of card.querySelectorAll(CONTROLS)) {
+        if (parked && !el.hasAttribute('tabindex')) {
+          el.setAttribute('tabindex', '-1');
+          el.setAttribute(PARKED_ATTR, '');
+        } else if (!parked && el.hasAttribute(PARKED_ATTR)) {
+          el.removeAttribute('tabindex');
+          el.removeAttribute(PARKED_ATTR);
+        }
+      }
+    }
+
+    function setCurrent(card) {
+      current = card;
+      for (const col of grid.querySelectorAll('[data-booklet]')) {
+        const el = col.querySelector('.card');
+        if (el) park(el, el !== card);
+      }
+    }
+
+    // After render/filter/sort: keep the current card if it's still shown,
+    // else hand the Tab stop to the first visible one.
+    function sync() {
+      const list = cards();
+      const active = document.activeElement;
+      const keep = current && list.includes(current) ? current : list[0] || null;
+      const lost = focusInGrid && (!active || active === document.body);
+      setCurrent(keep);
+      // The focused card was hidden or moved: put focus back in the grid.
+      if (keep && (lost || (active && !keep.contains(active) && grid.contains(active)))) keep.focus();
+    }
+
+    // Cards per row as laid out (1 on phones, 2 from md up).
+    function columns(list) {
+      if (!list.length) return 1;
+      const top = list[0].getBoundingClientRect().top;
+      const perRow = list.filter((card) => card.getBoundingClientRect().top === top).length;
+      return Math.max(1, perRow);
+    }
+
+    function target(card, key, list) {
+      const index = list.indexOf(card);
+      const cols = columns(list);
+      switch (key) {
+        case 'ArrowRight':
+          return list[index + 1];
+        case 'ArrowLeft':
+          return list[index - 1];
+        case 'ArrowDown':
+          return list[index + cols];
+        case 'ArrowUp':
+          return list[index - cols];
+        case 'Home':
+          return list[0];
+        default: // End
+          return list[list.length - 1];
+      }
+    }
+
+    grid.addEventListener('keydown', (evt) => {
+      const card = evt.target.closest('.card');
+      // Keys inside a control (edition <select>, buttons) stay with it.
+      if (!card || evt.target !== card || evt.altKey || evt.ctrlKey || evt.metaKey) return;
+
+      if (evt.key === 'Enter') {
+        const link = card.querySelector('a[data-pdf-view]');
+        if (link) {
+          evt.preventDefault();
+          link.click();
+        }
+        return;
+      }
+
+      if (!MOVE_KEYS.includes(evt.key)) return;
+      // Also at an edge, so the arrow doesn't scroll the page instead.
+      evt.preventDefault();
+      const list = cards();
+      const next = target(card, evt.key, list);
+      if (!next || next === card) return;
+      setCurrent(next);
+      next.focus();
+    });
+
+    grid.addEventListener('focusin', (evt) => {
+      focusInGrid = true;
+      const card = evt.target.closest('.card');
+      if (!card) return;
+      // Tabbing or clicking into a card makes it the current one.
+      if (card !== current) setCurrent(card);
+      if (evt.target === card) announce(describe(card, cards()));
+    });
+
+    grid.addEventListener('focusout', (evt) => {
+      // No relatedTarget: the window lost focus or the node moved.
+      if (evt.relatedTarget && !grid.contains(evt.relatedTarget)) focusInGrid = false;
+    });
+
+    // booklet-filter.js: cards were hidden or re-ordered. The first result
+    // with cards in it is the initial state, not something to read out.
+    document.addEventListener('booklets:filtered', (evt) => {
+      sync();
+      const { visible, total, key } = evt.detail || {};
+      if (!total) return;
+      const first = filterKey === null;
+      const changed = key !== filterKey;
+      filterKey = key;
+      if (first || !changed) return;
+      announce(
+        visible
+          ? I18n.t(total === 1 ? '{visible} of {total} booklet shown' : '{visible} of {total} booklets shown', {
+              visible,
+              total,
+            })
+          : I18n.t('No booklets match the current filters'),
+        ANNOUNCE_DELAY_MS
+      );
+    });
+
+    document.addEventListener('booklets:rendered', sync);
+    document.addEventListener('booklets:change', sync);
+    sync();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,172 @@
+/* Favourites (starred cards) and the "Recently opened" shelf.
+
+   Goals:
+   - Both live in localStorage, keyed by booklet filename (one edition).
+   - A card is pinned when any of its editions is starred; starred cards
+     get data-pinned="1" and booklet-filter.js sorts them first (we fire
+     `booklets:change` so it re-sorts).
+   - Cards arrive with `booklets:rendered` (booklet-cards.js); entries for
+     files no longer in booklets/ are dropped quietly after that.
+*/
+
+(function () {
+  const FAVORITES_KEY = 'booklet-favorites';
+  const RECENT_KEY = 'booklet-recent';
+  const RECENT_LIMIT = 5;
+
+  function readList(key) {
+    try {
+      const value = JSON.parse(localStorage.getItem(key) || '[]');
+      return Array.isArray(value) ? value : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  function writeList(key, list) {
+    try {
+      localStorage.setItem(key, JSON.stringify(list));
+    } catch (_) {
+      // Storage full/disabled: the shelf just won't persist.
+    }
+  }
+
+  function init() {
+    const grid = document.getElementById('booklet-grid');
+    const shelf = document.getElementById('recent-shelf');
+    if (!grid) return;
+
+    function cards() {
+      return Array.from(grid.querySelectorAll('[data-booklet]'));
+    }
+
+    function editionsOf(el) {
+      try {
+        return JSON.parse(el.dataset.editions || '[]');
+      } catch (_) {
+        return [];
+      }
+    }
+
+    function filenamesOf(el) {
+      const names = editionsOf(el).map((e) => e.filename);
+      return names.length ? names : [el.dataset.filename];
+    }
+
+    function cardFor(filename) {
+      return cards().find((el) => filenamesOf(el).includes(filename)) || null;
+    }
+
+    let known = new Set();
+    let favorites = [];
+    let recent = [];
+
+    // Drop anything that no longer exists in booklets/.
+    function load() {
+      known = new Set(cards().flatMap(filenamesOf));
+      favorites = readList(FAVORITES_KEY).filter((f) => typeof f === 'string' && known.has(f));
+      recent = readList(RECENT_KEY).filter((r) => r && known.has(r.filename));
+      writeList(FAVORITES_KEY, favorites);
+      writeList(RECENT_KEY, recent);
+    }
+
+    function renderStars() {
+      for (const el of cards()) {
+        const pinned = filenamesOf(el).some((f) => favorites.includes(f));
+        el.dataset.pinned = pinned ? '1' : '';
+
+        const btn = el.querySelector('[data-fav-toggle]');
+        if (!btn) continue;
+        btn.hidden = false;
+        btn.setAttribute('aria-pressed', pinned ? 'true' : 'false');
+        btn.textContent = pinned ? '★' : '☆';
+        btn.title = I18n.t(pinned ? 'Unpin' : 'Pin to top');
+      }
+      document.dispatchEvent(new CustomEvent('booklets:change'));
+    }
+
+    function renderShelf() {
+      if (!shelf) return;
+      const list = shelf.querySelector('[data-recent-list]');
+      list.textContent = '';
+
+      for (const entry of recent) {
+        const el = cardFor(entry.filename);
+        if (!el) continue;
+        const edition = editionsOf(el).find((e) => e.filename === entry.filename);
+        const source = el.querySelector('a[data-pdf-view]');
+
+        const link = document.createElement('a');
+        link.className = 'btn btn-sm btn-outline-primary';
+        link.href = edition ? edition.url : source ? source.getAttribute('href') : '#';
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.dataset.pdfView = entry.filename;
+        link.textContent = [el.dataset.title || el.dataset.name, edition ? edition.year : el.dataset.year]
+          .filter(Boolean)
+          .join(' ');
+        list.appendChild(link);
+      }
+      shelf.hidden = !list.children.length;
+    }
+
+    // Starring stars the edition on show; unstarring clears every edition.
+    function toggleFavorite(el) {
+      const editions = filenamesOf(el);
+      favorites = favorites.some((f) => editions.includes(f))
+        ? favorites.filter((f) => !editions.includes(f))
+        : favorites.concat(el.dataset.filename);
+      writeList(FAVORITES_KEY, favorites);
+      renderStars();
+    }
+
+    function markOpened(filename) {
+      if (!known.has(filename)) return;
+      recent = [{ filename, openedAt: Date.now() }]
+        .concat(recent.filter((r) => r.filename !== filename))
+        .slice(0, RECENT_LIMIT);
+      writeList(RECENT_KEY, recent);
+      // Re-render after the click has finished; the clicked shelf link
+      // itself may be one of the nodes being replaced.
+      setTimeout(renderShelf, 0);
+    }
+
+    grid.addEventListener('click', (evt) => {
+      const btn = evt.target.closest('[data-fav-toggle]');
+      if (!btn) return;
+      const el = btn.closest('[data-booklet]');
+      if (el) toggleFavorite(el);
+    });
+
+    // Any way of opening a booklet counts: viewer, new tab, middle click.
+    function onOpen(evt) {
+      const link = evt.target.closest('a[data-pdf-view]');
+      if (link && (evt.type === 'click' || evt.button === 1)) markOpened(link.dataset.pdfView);
+    }
+    document.addEventListener('click', onOpen);
+    document.addEventListener('auxclick', onOpen);
+
+    // Another tab starred/opened something.
+    window.addEventListener('storage', (evt) => {
+      if (evt.key === FAVORITES_KEY) {
+        favorites = readList(FAVORITES_KEY).filter((f) => known.has(f));
+        renderStars();
+      } else if (evt.key === RECENT_KEY) {
+        recent = readList(RECENT_KEY).filter((r) => r && known.has(r.filename));
+        renderShelf();
+      }
+    });
+
+    document.addEventListener('booklets:rendered', () => {
+      load();
+      renderStars();
+      renderShelf();
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,249 @@
+/* Admin upload page (upload.html).
+
+   Goals:
+   - Files come from drag-and-drop or the file picker and are checked before
+     anything is sent: the name against the server's _FILENAME_RE (passed in
+     data-filename-pattern), the size against MAX_CONTENT_LENGTH and the
+     first bytes against the PDF header. The server checks all of it again.
+   - Each file shows the parsed name and year, and whether it replaces a
+     booklet already in booklets/ (the old copy is archived server-side).
+   - Uploads go one at a time through XMLHttpRequest, which (unlike fetch)
+     reports upload progress. The token is sent as a Bearer header and kept
+     in sessionStorage, so it's gone when the tab closes.
+*/
+
+(function () {
+  const TOKEN_KEY = 'booklet-upload-token';
+  const PDF_MAGIC = '%PDF-';
+
+  function readToken() {
+    try {
+      return sessionStorage.getItem(TOKEN_KEY) || '';
+    } catch (_) {
+      return '';
+    }
+  }
+
+  function writeToken(token) {
+    try {
+      sessionStorage.setItem(TOKEN_KEY, token);
+    } catch (_) {
+      // Storage disabled: the token just has to be typed again.
+    }
+  }
+
+  function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+  }
+
+  async function startsWithPdfHeader(file) {
+    try {
+      return (await file.slice(0, PDF_MAGIC.length).text()) === PDF_MAGIC;
+    } catch (_) {
+      // Can't read it here; let the server decide.
+      return true;
+    }
+  }
+
+  function init() {
+    const form = document.getElementById('booklet-upload');
+    const rowTemplate = document.getElementById('upload-row-template');
+    if (!form || !rowTemplate) return;
+
+    const tokenInput = form.querySelector('#upload-token');
+    const drop = form.querySelector('[data-upload-drop]');
+    const input = form.querySelector('[data-upload-input]');
+    const list = form.querySelector('[data-upload-list]');
+    const submit = form.querySelector('[data-upload-submit]');
+    const status = form.querySelector('[data-upload-status]');
+
+    const pattern = new RegExp(form.dataset.filenamePattern, 'i');
+    const maxBytes = Number(form.dataset.maxBytes) || Infinity;
+    // Lower-cased: the server files physics_2030.pdf under an existing Physics.
+    const existing = new Set((form.dataset.existing || '').toLowerCase().split('/').filter(Boolean));
+
+    // { file, row, checked, error, done }
+    let queue = [];
+    let busy = false;
+
+    tokenInput.value = readToken();
+
+    function updateSubmit() {
+      const ready = queue.some((entry) => entry.checked && !entry.error && !entry.done);
+      submit.disabled = busy || !ready;
+    }
+
+    function setPreview(entry, text, tone) {
+      const preview = entry.row.querySelector('[data-upload-preview]');
+      preview.textContent = text;
+      preview.className = `small text-${tone}`;
+    }
+
+    async function validate(entry) {
+      const { file } = entry;
+      const match = pattern.exec(file.name);
+      if (!match) {
+        entry.error = I18n.t('Name it name_year.pdf, e.g. Physics_2025.pdf.');
+      } else if (file.size > maxBytes) {
+        entry.error = I18n.t('Too large ({size}, limit {limit}).', { size: formatSize(file.size), limit: formatSize(maxBytes) });
+      } else if (!(await startsWithPdfHeader(file))) {
+        entry.error = I18n.t('Not a PDF file.');
+      }
+
+      if (entry.error) {
+        setPreview(entry, entry.error, 'danger');
+      } else {
+        const { name, year } = match.groups;
+        const action = I18n.t(existing.has(file.name.toLowerCase()) ? 'replaces the current file (archived)' : 'new booklet');
+        setPreview(entry, `${name} · ${year} · ${formatSize(file.size)} · ${action}`, 'muted');
+      }
+      entry.checked = true;
+      updateSubmit();
+    }
+
+    function remove(entry) {
+      queue = queue.filter((e) => e !== entry);
+      entry.row.remove();
+      updateSubmit();
+    }
+
+    function add(files) {
+      for (const file of files) {
+        // The same name dropped twice: the newer pick wins.
+        const previous = queue.find((e) => e.file.name === file.name && !e.done);
+        if (previous) remove(previous);
+
+        const row = rowTemplate.content.firstElementChild.cloneNode(true);
+        row.querySelector('[data-upload-filename]').textContent = file.name;
+        const entry = { file, row, checked: false, error: '', done: false };
+        const close = row.querySelector('[data-upload-remove]');
+        close.setAttribute('aria-label', I18n.t('Remove {filename}', { filename: file.name }));
+        close.addEventListener('click', () => {
+          if (!busy) remove(entry);
+        });
+
+        queue.push(entry);
+        list.appendChild(row);
+        validate(entry);
+      }
+      status.textContent = '';
+    }
+
+    function send(entry, token) {
+      return new Promise((resolve) => {
+        const bar = entry.row.querySelector('[data-upload-progress]');
+        const fill = bar.firstElementChild;
+        bar.hidden = false;
+
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', form.dataset.uploadUrl);
+        xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+        xhr.responseType = 'json';
+        xhr.upload.addEventListener('progress', (evt) => {
+          if (!evt.lengthComputable) return;
+          const percent = Math.round((evt.loaded / evt.total) * 100);
+          fill.style.width = `${percent}%`;
+          bar.setAttribute('aria-valuenow', String(percent));
+        });
+        xhr.addEventListener('load', () => {
+          const body = xhr.response || {};
+          resolve({ status: xhr.status, body });
+        });
+        xhr.addEventListener('error', () => resolve({ status: 0, body: {} }));
+
+        const data = new FormData();
+        data.append('file', entry.file, entry.file.name);
+        xhr.send(data);
+      });
+    }
+
+    async function uploadAll() {
+      const token = tokenInput.value.trim();
+      if (!token) {
+        status.textContent = I18n.t('Enter the upload token first.');
+        status.className = 'mt-2 small text-danger';
+        tokenInput.focus();
+        return;
+      }
+      writeToken(token);
+
+      busy = true;
+      updateSubmit();
+      status.className = 'mt-2 small text-muted';
+      let uploaded = 0;
+
+      for (const entry of queue.filter((e) => e.checked && !e.error && !e.done)) {
+        status.textContent = I18n.t('Uploading {filename}…', { filename: entry.file.name });
+        const { status: code, body } = await send(entry, token);
+        const bar = entry.row.querySelector('[data-upload-progress]');
+        bar.hidden = true;
+
+        if (code === 201) {
+          entry.done = true;
+          uploaded += 1;
+          existing.add(body.filename.toLowerCase());
+          // The server may respell the name to match an existing subject.
+          const renamed = body.filename !== entry.file.name;
+          let message;
+          if (body.replaced) {
+            message = renamed ? 'Uploaded as {filename}; the old copy is in {archived}.' : 'Uploaded; the old copy is in {archived}.';
+          } else {
+            message = renamed ? 'Uploaded as {filename}.' : 'Uploaded.';
+          }
+          setPreview(entry, I18n.t(message, { filename: body.filename, archived: body.archived }), 'success');
+          entry.row.querySelector('[data-upload-remove]').hidden = true;
+          continue;
+        }
+        if (code === 401) {
+          // Every other file would fail the same way.
+          setPreview(entry, I18n.t('Not uploaded.'), 'danger');
+          status.textContent = body.error || I18n.t('Wrong upload token.');
+          status.className = 'mt-2 small text-danger';
+          busy = false;
+          updateSubmit();
+          tokenInput.focus();
+          return;
+        }
+        entry.error = body.error || (code ? I18n.t('Upload failed (HTTP {code}).', { code }) : I18n.t('Upload failed: no connection.'));
+        setPreview(entry, entry.error, 'danger');
+      }
+
+      busy = false;
+      updateSubmit();
+      status.textContent = I18n.t(uploaded === 1 ? '{count} booklet uploaded.' : '{count} booklets uploaded.', { count: uploaded });
+    }
+
+    input.addEventListener('change', () => {
+      add(Array.from(input.files));
+      // Picking the same file again should still fire `change`.
+      input.value = '';
+    });
+
+    for (const type of ['dragenter', 'dragover']) {
+      drop.addEventListener(type, (evt) => {
+        evt.preventDefault();
+        drop.classList.add('is-dragging');
+      });
+    }
+    for (const type of ['dragleave', 'drop']) {
+      drop.addEventListener(type, (evt) => {
+        evt.preventDefault();
+        drop.classList.remove('is-dragging');
+      });
+    }
+    drop.addEventListener('drop', (evt) => {
+      if (evt.dataTransfer) add(Array.from(evt.dataTransfer.files));
+    });
+
+    form.addEventListener('submit', (evt) => {
+      evt.preventDefault();
+      if (!busy) uploadAll();
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
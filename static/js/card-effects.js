@@ -2,8 +2,25 @@
 
    Goals:
    - Effects are opt-in per card via data-fx.
-   - Effects only render while hovered (no idle CPU/GPU burn).
-   - Effects are easy to extend: add a registry entry.
+   - Effects only render while hovered, keyboard-focused or touch-held
+     (no idle CPU/GPU burn).
+   - Effects are easy to extend: add a registry entry, or call
+     CardEffects.register(name, factory) from another script.
+   - Per-card tuning via data-fx-* attributes (data-fx-max-fps, data-fx-palette,
+     data-fx-charset, ...), validated and clamped by each factory.
+   - A factory is called as factory(card, env) and returns a controller:
+     { onEnter, onMove, onLeave, onClick, onPause, onResume, onThemeChange,
+     dispose } (all optional). dispose() must release timers, observers and
+     anything drawn; onThemeChange() runs when data-bs-theme changes and
+     should re-read any cached colours.
+   - Effects take randomness, time, layout and their 2D context from `env`
+     (never Math.random / performance.now / the DOM directly), so
+     CardEffects.configure() plus data-fx-seed makes frames repeatable.
+   - Motion is user-controllable: navbar toggle (stored in localStorage),
+     prefers-reduced-motion (still frame) and paused while the tab is hidden.
+   - One shared scheduler runs every effect's frames within a global budget
+     and lowers quality on slow machines; vector-field can draw in a worker
+     (fx-worker.js). ?fx-debug=1 shows per-effect frame times.
 */
 
 (function () {
@@ -11,61 +28,898 @@
     'glow-matrix': createGlowMatrixEffect,
     'vector-field': createVectorFieldEffect,
     'molecules': createMoleculesEffect,
+    'food-web': createFoodWebEffect,
+    'regression': createRegressionEffect,
   };
 
+  // What each effect draws into: 'canvas' (canvas.fx-canvas) or 'matrix'
+  // (div.fx-matrix). Pages that build cards ask CardEffects.layer(name).
+  const LAYERS = ['canvas', 'matrix'];
+  const layers = {
+    'glow-matrix': 'matrix',
+    'vector-field': 'canvas',
+    'molecules': 'canvas',
+    'food-web': 'canvas',
+    'regression': 'canvas',
+  };
+
+  function factoryFor(name) {
+    return Object.prototype.hasOwnProperty.call(registry, name) ? registry[name] : null;
+  }
+
   const controllers = new WeakMap();
 
+  // Attached cards -> { fx, detach }. A Map (not WeakMap) so refresh()
+  // and destroy() can walk it; removed cards are dropped on refresh.
+  const bindings = new Map();
+  let initialized = false;
+  let observer = null;
+  let themeObserver = null;
+
+  // Cards whose effect is currently wanted (hovered/focused/held),
+  // mapped to a callback that restarts them after a motion change.
+  const liveCards = new Map();
+
+  // Motion: the navbar toggle can switch effects off entirely; with
+  // prefers-reduced-motion, effects render a single still frame.
+  const MOTION_STORAGE_KEY = 'fx-motion';
+  const reducedMotionQuery = window.matchMedia
+    ? window.matchMedia('(prefers-reduced-motion: reduce)')
+    : null;
+
+  function readMotionPref() {
+    try {
+      return localStorage.getItem(MOTION_STORAGE_KEY) === 'off' ? 'off' : 'on';
+    } catch (_) {
+      return 'on';
+    }
+  }
+
+  let motionPref = readMotionPref();
+
+  function motionMode() {
+    if (motionPref === 'off') return 'off';
+    if (reducedMotionQuery && reducedMotionQuery.matches) return 'static';
+    return 'full';
+  }
+
+  function animationsAllowed() {
+    return motionMode() === 'full' && !document.hidden;
+  }
+
+  // Touch: how long a finger must rest on a card before the effect starts,
+  // and how far it may wander before we treat the gesture as a scroll.
+  const TOUCH_HOLD_MS = 280;
+  const TOUCH_SLOP_PX = 10;
+
   function setGlowVarsFromEvent(card, evt) {
-    const rect = card.getBoundingClientRect();
+    const rect = environment.measure(card);
     const x = ((evt.clientX - rect.left) / rect.width) * 100;
     const y = ((evt.clientY - rect.top) / rect.height) * 100;
     card.style.setProperty('--glow-x', x.toFixed(2) + '%');
     card.style.setProperty('--glow-y', y.toFixed(2) + '%');
   }
 
+  function pointFromEvent(evt) {
+    return { clientX: evt.clientX, clientY: evt.clientY };
+  }
+
+  function pointFromElement(el) {
+    // Keyboard focus has no cursor: aim effects at the focused control.
+    const rect = environment.measure(el);
+    return { clientX: rect.left + rect.width / 2, clientY: rect.top + rect.height / 2 };
+  }
+
+  function isFocusVisible(el) {
+    try {
+      return el.matches(':focus-visible');
+    } catch (_) {
+      return true;
+    }
+  }
+
+  // -------------------------
+  // Environment (randomness, time, layout, canvases)
+  // -------------------------
+
+  // Everything an effect can't decide for itself goes through here, so a
+  // headless run (jsdom, Node) can pin it down and get the same frames every
+  // time. CardEffects.configure() replaces any of these; the rest go back to
+  // the browser's own:
+  //   CardEffects.configure({
+  //     random: CardEffects.seededRandom(1),
+  //     now: () => clock,
+  //     requestFrame: (fn) => queue.push(fn), cancelFrame() {},
+  //     measure: (el) => ({ left: 0, top: 0, width: 400, height: 220 }),
+  //     context: (canvas) => FxDraw.recordingContext(400, 220),
+  //   });
+  const defaultEnvironment = {
+    random: Math.random,
+    now: () => performance.now(),
+    requestFrame: (fn) => requestAnimationFrame(fn),
+    cancelFrame: (id) => cancelAnimationFrame(id),
+    measure: (el) => el.getBoundingClientRect(),
+    context: (canvas) => (canvas.getContext ? canvas.getContext('2d', { alpha: true }) : null),
+    pixelRatio: () => window.devicePixelRatio || 1,
+  };
+  const environment = Object.assign({}, defaultEnvironment);
+
+  function configure(options) {
+    for (const key of Object.keys(options || {})) {
+      if (!(key in defaultEnvironment)) throw new TypeError(`CardEffects.configure: unknown option "${key}"`);
+      if (typeof options[key] !== 'function') throw new TypeError(`CardEffects.configure: ${key} must be a function`);
+    }
+    Object.assign(environment, defaultEnvironment, options);
+  }
+
+  function hashSeed(seed) {
+    // FNV-1a, so data-fx-seed="physics" works as well as "42".
+    const text = String(seed);
+    let h = 2166136261;
+    for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+    return h >>> 0;
+  }
+
+  // mulberry32: tiny, fast and plenty for visuals. Same seed, same sequence.
+  function seededRandom(seed) {
+    let a = hashSeed(seed);
+    return function random() {
+      a = (a + 0x6d2b79f5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // A factory's second argument. data-fx-seed on the card gives the effect
+  // its own sequence, independent of the other cards on the page.
+  function effectEnv(card) {
+    const seed = card.dataset.fxSeed;
+    return {
+      random: seed ? seededRandom(seed) : () => environment.random(),
+      now: () => environment.now(),
+      measure: (el) => environment.measure(el),
+      context: (canvas) => environment.context(canvas),
+      pixelRatio: () => environment.pixelRatio(),
+    };
+  }
+
+  // -------------------------
+  // Shared scheduler
+  // -------------------------
+
+  // One requestAnimationFrame loop drives every running effect. A frame
+  // gets FRAME_BUDGET_MS of effect work in total: loops that don't fit wait
+  // for the next frame (round-robin, so none starves), and while frames
+  // keep running long `quality` drops and effects draw less.
+  const FRAME_BUDGET_MS = 6;
+  const QUALITY_MIN = 0.35;
+  const QUALITY_DOWN_FACTOR = 0.8;
+  const QUALITY_UP_STEP = 0.1;
+  // Drop quickly, recover slowly, so quality doesn't oscillate.
+  const QUALITY_DOWN_AFTER_MS = 500;
+  const QUALITY_UP_AFTER_MS = 3000;
+  // Matches the CSS opacity transition on .fx-canvas / .fx-matrix.
+  const FADE_MS = 260;
+
+  const scheduler = createScheduler();
+
+  function createScheduler() {
+    const running = new Set();
+    let rafId = 0;
+    let nextIndex = 0;
+    let quality = 1;
+    let load = 0;
+    let lastQualityChange = 0;
+
+    // Effect name -> { ms, fps, frames, since, offthread } for the overlay.
+    const stats = new Map();
+
+    // Fade-out clears for every card share one timer.
+    const deferred = new Map();
+    let deferTimer = null;
+
+    function record(loop, ms, ts) {
+      let s = stats.get(loop.name);
+      if (!s) {
+        s = { ms, fps: 0, frames: 0, since: ts, offthread: loop.offthread };
+        stats.set(loop.name, s);
+      }
+      s.ms = s.ms * 0.9 + ms * 0.1;
+      s.frames++;
+      if (ts - s.since >= 1000) {
+        s.fps = (s.frames * 1000) / (ts - s.since);
+        s.frames = 0;
+        s.since = ts;
+      }
+    }
+
+    function setQuality(value, ts) {
+      const next = Math.round(Math.max(QUALITY_MIN, Math.min(1, value)) * 100) / 100;
+      lastQualityChange = ts;
+      if (next === quality) return;
+      quality = next;
+      for (const loop of Array.from(running)) {
+        if (loop.onQuality) loop.onQuality(quality);
+      }
+    }
+
+    function adjustQuality(spent, ts) {
+      load = load * 0.9 + spent * 0.1;
+      const since = ts - lastQualityChange;
+      if (load > FRAME_BUDGET_MS && quality > QUALITY_MIN && since > QUALITY_DOWN_AFTER_MS) {
+        setQuality(quality * QUALITY_DOWN_FACTOR, ts);
+      } else if (load < FRAME_BUDGET_MS * 0.4 && quality < 1 && since > QUALITY_UP_AFTER_MS) {
+        setQuality(quality + QUALITY_UP_STEP, ts);
+      }
+    }
+
+    function tick(ts) {
+      rafId = 0;
+      const loops = Array.from(running);
+      let spent = 0;
+      let ran = 0;
+      let resumeAt = nextIndex + 1;
+
+      for (let i = 0; i < loops.length; i++) {
+        const index = (nextIndex + i) % loops.length;
+        const loop = loops[index];
+        // Stopped by an earlier loop, or throttled by its own maxFps.
+        if (!running.has(loop)) continue;
+        if (loop.lastTs && ts - loop.lastTs < 1000 / loop.maxFps) continue;
+        if (ran && spent >= FRAME_BUDGET_MS) {
+          resumeAt = index;
+          break;
+        }
+
+        const dt = loop.lastTs ? Math.min(0.05, (ts - loop.lastTs) / 1000) : 0.016;
+        loop.lastTs = ts;
+        const t0 = environment.now();
+        try {
+          loop.frame(ts, dt);
+        } catch (err) {
+          console.error(`card-effects: ${loop.name} failed`, err);
+          loop.stop();
+        }
+        const ms = environment.now() - t0;
+        spent += ms;
+        ran++;
+        if (!loop.offthread) record(loop, ms, ts);
+
+        // Reduced motion / hidden tab: the first frame stays up as a still.
+        if (!animationsAllowed()) loop.stop();
+      }
+
+      nextIndex = loops.length ? resumeAt % loops.length : 0;
+      if (ran) adjustQuality(spent, ts);
+      if (running.size) rafId = environment.requestFrame(tick);
+    }
+
+    // frame(ts, dt) draws one frame; onQuality(q) lets the effect rebuild
+    // at a new density; offthread loops report their own frame time.
+    function loop(name, options) {
+      const handle = {
+        name,
+        maxFps: options.maxFps || 60,
+        frame: options.frame,
+        onQuality: options.onQuality || null,
+        offthread: Boolean(options.offthread),
+        lastTs: 0,
+        get running() {
+          return running.has(handle);
+        },
+        start() {
+          if (running.has(handle)) return;
+          handle.lastTs = 0;
+          running.add(handle);
+          if (!rafId) rafId = environment.requestFrame(tick);
+        },
+        stop() {
+          running.delete(handle);
+          if (!running.size && rafId) {
+            environment.cancelFrame(rafId);
+            rafId = 0;
+          }
+        },
+        report(ms) {
+          record(handle, ms, environment.now());
+        },
+      };
+      return handle;
+    }
+
+    function flushDeferred() {
+      deferTimer = null;
+      const now = environment.now();
+      let next = Infinity;
+      for (const [key, entry] of Array.from(deferred)) {
+        if (entry.due <= now) {
+          deferred.delete(key);
+          entry.fn();
+        } else {
+          next = Math.min(next, entry.due);
+        }
+      }
+      if (next < Infinity) deferTimer = setTimeout(flushDeferred, next - now);
+    }
+
+    // Run fn after ms unless cancelled; a second defer() for the same key
+    // replaces the first.
+    function defer(key, fn, ms) {
+      deferred.set(key, { fn, due: environment.now() + ms });
+      if (deferTimer) clearTimeout(deferTimer);
+      flushDeferred();
+    }
+
+    function cancel(key) {
+      deferred.delete(key);
+    }
+
+    function snapshot() {
+      const active = {};
+      for (const loop of running) active[loop.name] = (active[loop.name] || 0) + 1;
+      return {
+        quality,
+        load,
+        budget: FRAME_BUDGET_MS,
+        effects: Array.from(stats, ([name, s]) => ({
+          name,
+          active: active[name] || 0,
+          ms: s.ms,
+          fps: s.fps,
+          offthread: s.offthread,
+        })),
+      };
+    }
+
+    function reset() {
+      for (const loop of Array.from(running)) loop.stop();
+      if (deferTimer) clearTimeout(deferTimer);
+      deferTimer = null;
+      for (const entry of Array.from(deferred.values())) entry.fn();
+      deferred.clear();
+      stats.clear();
+    }
+
+    return {
+      loop,
+      defer,
+      cancel,
+      snapshot,
+      reset,
+      get quality() {
+        return quality;
+      },
+    };
+  }
+
+  // -------------------------
+  // Offscreen rendering (optional)
+  // -------------------------
+
+  // <body data-fx-worker="/static/js/fx-worker.js"> moves effects that
+  // have a worker renderer (see fx-draw.js) off the main thread.
+  let fxWorker = null;
+  let nextSceneId = 1;
+  const scenes = new Map();
+  // A canvas can only be transferred once; keep its scene id for re-attach.
+  const transferred = new WeakMap();
+
+  function effectsWorker() {
+    if (fxWorker) return fxWorker;
+    const url = document.body && document.body.dataset.fxWorker;
+    if (!url || !window.Worker || !window.OffscreenCanvas) return null;
+    try {
+      fxWorker = new Worker(url);
+    } catch (err) {
+      console.warn('card-effects: worker unavailable', err);
+      return null;
+    }
+    fxWorker.addEventListener('message', (evt) => {
+      const msg = evt.data || {};
+      const scene = scenes.get(msg.id);
+      if (!scene) return;
+      scene.pending = false;
+      if (msg.type === 'frame' && scene.onFrame) scene.onFrame(msg.ms);
+      if (msg.type === 'error') console.warn('card-effects: worker error', msg.error);
+    });
+    return fxWorker;
+  }
+
+  // Returns { post(msg), dispose() } or null when the canvas has to be
+  // drawn on the main thread. Frames are dropped while the previous one
+  // is still being drawn, so a slow worker can't build up a queue.
+  function offscreenRenderer(canvas, effect, settings, onFrame) {
+    let id = transferred.get(canvas);
+    if (!id && (!canvas.transferControlToOffscreen || canvas.dataset.fxWorker === 'off')) return null;
+    // A configured context (e.g. a recording one) has to see the draw calls.
+    if (environment.context !== defaultEnvironment.context) return null;
+
+    const worker = effectsWorker();
+    if (!worker) return null;
+
+    try {
+      if (id) {
+        worker.postMessage({ type: 'init', id, effect, settings });
+      } else {
+        const offscreen = canvas.transferControlToOffscreen();
+        id = nextSceneId++;
+        transferred.set(canvas, id);
+        worker.postMessage({ type: 'init', id, effect, settings, canvas: offscreen }, [offscreen]);
+      }
+    } catch (err) {
+      console.warn('card-effects: could not move canvas to the worker', err);
+      return null;
+    }
+
+    const scene = { pending: false, onFrame };
+    scenes.set(id, scene);
+
+    return {
+      post(msg) {
+        if (msg.type === 'frame') {
+          if (scene.pending) return;
+          scene.pending = true;
+        }
+        worker.postMessage(Object.assign({ id }, msg));
+      },
+      dispose() {
+        scenes.delete(id);
+        if (!canvas.isConnected) worker.postMessage({ type: 'release', id });
+      },
+    };
+  }
+
+  // -------------------------
+  // Debug overlay (?fx-debug=1)
+  // -------------------------
+
+  const DEBUG_STORAGE_KEY = 'fx-debug';
+  let debugPanel = null;
+  let debugTimer = null;
+
+  function debugRequested() {
+    const param = new URLSearchParams(window.location.search).get('fx-debug');
+    try {
+      // ?fx-debug=1 is remembered in localStorage; ?fx-debug=0 forgets it.
+      if (param !== null) localStorage.setItem(DEBUG_STORAGE_KEY, param === '0' ? '' : '1');
+      return localStorage.getItem(DEBUG_STORAGE_KEY) === '1';
+    } catch (_) {
+      return param !== null && param !== '0';
+    }
+  }
+
+  function renderDebug() {
+    const snap = scheduler.snapshot();
+    const lines = [
+      `quality ${snap.quality.toFixed(2)}  load ${snap.load.toFixed(1)}/${snap.budget} ms`,
+    ];
+    for (const fx of snap.effects) {
+      const where = fx.offthread ? ' (worker)' : '';
+      lines.push(
+        `${(fx.name + where).padEnd(22)} ${String(fx.active).padStart(2)}  ` +
+          `${fx.ms.toFixed(1).padStart(5)} ms  ${Math.round(fx.fps).toString().padStart(3)} fps`
+      );
+    }
+    debugPanel.textContent = lines.join('\n');
+  }
+
+  function showDebug() {
+    if (debugPanel) return;
+    debugPanel = document.createElement('pre');
+    debugPanel.className = 'fx-debug';
+    debugPanel.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(debugPanel);
+    renderDebug();
+    debugTimer = setInterval(renderDebug, 500);
+  }
+
+  function hideDebug() {
+    if (debugTimer) clearInterval(debugTimer);
+    debugTimer = null;
+    if (debugPanel) debugPanel.remove();
+    debugPanel = null;
+  }
+
   function attachCard(card) {
+    if (bindings.has(card)) return true;
+
     const fxName = (card.dataset.fx || '').trim();
-    const factory = registry[fxName];
-    if (!factory) return;
+    const factory = factoryFor(fxName);
+    if (!factory) return false;
+
+    const listeners = [];
+
+    function listen(type, handler, options) {
+      card.addEventListener(type, handler, options);
+      listeners.push([type, handler, options]);
+    }
 
     function ensureController() {
       let ctrl = controllers.get(card);
       if (!ctrl) {
-        ctrl = factory(card);
+        ctrl = factory(card, effectEnv(card));
         controllers.set(card, ctrl);
       }
       return ctrl;
     }
 
     const shouldTrackGlow = fxName === 'glow-matrix';
-    const shouldTrackMove = fxName !== 'molecules';
 
-    card.addEventListener('mouseenter', (evt) => {
-      if (shouldTrackGlow) setGlowVarsFromEvent(card, evt);
+    // Hover, keyboard focus and touch-hold can overlap; the effect runs
+    // while at least one of them is active.
+    const sources = new Set();
+    let lastPoint = null;
+    let started = false;
+
+    function startEffect() {
+      if (started || motionMode() === 'off') return;
+      started = true;
+      card.classList.add('fx-active');
+      if (shouldTrackGlow) setGlowVarsFromEvent(card, lastPoint);
       const ctrl = ensureController();
-      if (ctrl && ctrl.onEnter) ctrl.onEnter(evt);
+      if (ctrl && ctrl.onEnter) ctrl.onEnter(lastPoint);
+    }
+
+    function stopEffect() {
+      if (!started) return;
+      started = false;
+      card.classList.remove('fx-active');
+      const ctrl = controllers.get(card);
+      if (ctrl && ctrl.onLeave) ctrl.onLeave();
+    }
+
+    function activate(source, point) {
+      if (sources.has(source)) {
+        move(point);
+        return;
+      }
+      sources.add(source);
+      lastPoint = point;
+      if (sources.size === 1) {
+        liveCards.set(card, restart);
+        startEffect();
+      } else {
+        move(point);
+      }
+    }
+
+    function move(point) {
+      lastPoint = point;
+      if (!started) return;
+      if (shouldTrackGlow) setGlowVarsFromEvent(card, point);
+      const ctrl = controllers.get(card);
+      if (ctrl && ctrl.onMove) ctrl.onMove(point);
+    }
+
+    function deactivate(source) {
+      if (!sources.delete(source) || sources.size) return;
+      liveCards.delete(card);
+      stopEffect();
+    }
+
+    // Motion preference changed while this card is live.
+    function restart() {
+      stopEffect();
+      if (sources.size) startEffect();
+    }
+
+    // Mouse / pen: plain hover.
+    listen('pointerenter', (evt) => {
+      if (evt.pointerType === 'touch') return;
+      activate('hover', pointFromEvent(evt));
     });
 
-    if (shouldTrackMove || shouldTrackGlow) {
-      card.addEventListener('mousemove', (evt) => {
-        if (shouldTrackGlow) setGlowVarsFromEvent(card, evt);
-        const ctrl = controllers.get(card);
-        if (ctrl && ctrl.onMove) ctrl.onMove(evt);
-      });
+    listen('pointermove', (evt) => {
+      if (evt.pointerType === 'touch') {
+        onTouchMove(evt);
+        return;
+      }
+      if (sources.has('hover')) move(pointFromEvent(evt));
+    });
+
+    listen('pointerleave', (evt) => {
+      if (evt.pointerType === 'touch') return;
+      deactivate('hover');
+    });
+
+    // Touch: tap-and-hold drives the effect; a quick tap or a scroll
+    // never starts it, and we never cancel the tap so links still open.
+    let holdTimer = null;
+    let holdOrigin = null;
+    let holdPoint = null;
+
+    function clearHold() {
+      if (holdTimer) clearTimeout(holdTimer);
+      holdTimer = null;
+      holdOrigin = null;
+    }
+
+    function endTouch() {
+      clearHold();
+      card.classList.remove('fx-touch-hold');
+      deactivate('touch');
+    }
+
+    function onTouchMove(evt) {
+      holdPoint = pointFromEvent(evt);
+      if (sources.has('touch')) {
+        move(holdPoint);
+        return;
+      }
+      if (!holdOrigin) return;
+      const dist = Math.hypot(holdPoint.clientX - holdOrigin.clientX, holdPoint.clientY - holdOrigin.clientY);
+      if (dist > TOUCH_SLOP_PX) clearHold();
+    }
+
+    listen('pointerdown', (evt) => {
+      if (evt.pointerType !== 'touch' || !evt.isPrimary) return;
+      clearHold();
+      holdOrigin = holdPoint = pointFromEvent(evt);
+      holdTimer = setTimeout(() => {
+        holdTimer = null;
+        card.classList.add('fx-touch-hold');
+        activate('touch', holdPoint);
+      }, TOUCH_HOLD_MS);
+    });
+
+    listen('pointerup', (evt) => {
+      if (evt.pointerType === 'touch') endTouch();
+    });
+    listen('pointercancel', (evt) => {
+      if (evt.pointerType === 'touch') endTouch();
+    });
+
+    // Once the hold has started, keep the finger from scrolling the page so
+    // pointermove keeps flowing (otherwise the browser fires pointercancel).
+    listen(
+      'touchmove',
+      (evt) => {
+        if (sources.has('touch') && evt.cancelable) evt.preventDefault();
+      },
+      { passive: false }
+    );
+
+    listen('contextmenu', (evt) => {
+      // Long-press menus on the card body would fight the effect; leave
+      // links alone so "open in new tab" etc. still work.
+      if (sources.has('touch') && !evt.target.closest('a')) evt.preventDefault();
+    });
+
+    // Clicks on the card itself (not its links/buttons) go to the effect.
+    listen('click', (evt) => {
+      if (!started || evt.target.closest('a, button, input, select, label')) return;
+      const ctrl = controllers.get(card);
+      if (ctrl && ctrl.onClick) ctrl.onClick(Object.assign(pointFromEvent(evt), { shiftKey: evt.shiftKey }));
+    });
+
+    // Keyboard: focus anywhere inside the card (e.g. "Open PDF").
+    listen('focusin', (evt) => {
+      if (!isFocusVisible(evt.target)) return;
+      activate('focus', pointFromElement(evt.target));
+    });
+
+    listen('focusout', (evt) => {
+      if (evt.relatedTarget && card.contains(evt.relatedTarget)) return;
+      deactivate('focus');
+    });
+
+    function detach() {
+      for (const [type, handler, options] of listeners) {
+        card.removeEventListener(type, handler, options);
+      }
+      clearHold();
+      sources.clear();
+      liveCards.delete(card);
+      stopEffect();
+      card.classList.remove('fx-touch-hold');
+
+      const ctrl = controllers.get(card);
+      if (ctrl && ctrl.dispose) ctrl.dispose();
+      controllers.delete(card);
+      bindings.delete(card);
+    }
+
+    bindings.set(card, { fx: fxName, detach });
+    return true;
+  }
+
+  function detachCard(card) {
+    const binding = bindings.get(card);
+    if (!binding) return false;
+    binding.detach();
+    return true;
+  }
+
+  function applyMotionPref() {
+    document.documentElement.classList.toggle('fx-off', motionMode() === 'off');
+    const toggle = document.getElementById('fx-motion-toggle');
+    if (toggle) {
+      toggle.checked = motionPref !== 'off';
+      toggle.title = motionMode() === 'static' ? I18n.t('Animations reduced (system setting)') : '';
     }
+    for (const restart of Array.from(liveCards.values())) restart();
+  }
+
+  function onMotionToggle(evt) {
+    motionPref = evt.target.checked ? 'on' : 'off';
+    try {
+      localStorage.setItem(MOTION_STORAGE_KEY, motionPref);
+    } catch (_) {
+      // Private mode / storage disabled: keep the choice for this page only.
+    }
+    applyMotionPref();
+  }
+
+  function onVisibilityChange() {
+    for (const card of liveCards.keys()) {
+      const ctrl = controllers.get(card);
+      if (!ctrl) continue;
+      if (document.hidden) {
+        if (ctrl.onPause) ctrl.onPause();
+      } else if (ctrl.onResume) {
+        ctrl.onResume();
+      }
+    }
+  }
+
+  function onStorage(evt) {
+    // Keep other open tabs in sync with the toggle.
+    if (evt.key !== MOTION_STORAGE_KEY) return;
+    motionPref = readMotionPref();
+    applyMotionPref();
+  }
 
-    card.addEventListener('mouseleave', (evt) => {
+  // data-bs-theme on <html> changed (theme.js): effects re-read colours.
+  function onThemeChange() {
+    for (const card of bindings.keys()) {
       const ctrl = controllers.get(card);
-      if (ctrl && ctrl.onLeave) ctrl.onLeave(evt);
+      if (ctrl && ctrl.onThemeChange) ctrl.onThemeChange();
+    }
+    // A reduced-motion still frame doesn't repaint by itself.
+    if (motionMode() === 'static') {
+      for (const restart of Array.from(liveCards.values())) restart();
+    }
+  }
+
+  // Attach every [data-fx] card in the document and drop bindings whose
+  // card was removed or switched to a different effect.
+  function refresh() {
+    if (!initialized) return;
+    for (const [card, binding] of Array.from(bindings)) {
+      if (!card.isConnected || (card.dataset.fx || '').trim() !== binding.fx) binding.detach();
+    }
+    for (const card of document.querySelectorAll('[data-fx]')) attachCard(card);
+  }
+
+  function scanNode(node, fn) {
+    if (node.nodeType !== 1) return;
+    if (node.hasAttribute('data-fx')) fn(node);
+    for (const card of node.querySelectorAll('[data-fx]')) fn(card);
+  }
+
+  function onMutations(records) {
+    for (const record of records) {
+      if (record.type === 'attributes') {
+        detachCard(record.target);
+        if (record.target.hasAttribute('data-fx')) attachCard(record.target);
+        continue;
+      }
+      // Nodes that are only moved (e.g. re-sorted) show up as removed and
+      // added in the same batch, so check isConnected instead of detaching.
+      for (const node of record.removedNodes) {
+        scanNode(node, (card) => {
+          if (!card.isConnected) detachCard(card);
+        });
+      }
+      for (const node of record.addedNodes) scanNode(node, attachCard);
+    }
+  }
+
+  function observe(root) {
+    unobserve();
+    observer = new MutationObserver(onMutations);
+    observer.observe(root || document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['data-fx'],
     });
+    refresh();
+  }
+
+  function unobserve() {
+    if (observer) observer.disconnect();
+    observer = null;
   }
 
   function init() {
-    const cards = document.querySelectorAll('[data-fx]');
-    if (!cards.length) return;
-    for (const card of cards) attachCard(card);
+    if (initialized) return;
+    initialized = true;
+
+    const toggle = document.getElementById('fx-motion-toggle');
+    if (toggle) toggle.addEventListener('change', onMotionToggle);
+    applyMotionPref();
+
+    if (reducedMotionQuery) reducedMotionQuery.addEventListener('change', applyMotionPref);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    window.addEventListener('storage', onStorage);
+    themeObserver = new MutationObserver(onThemeChange);
+    themeObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['data-bs-theme'] });
+
+    refresh();
+    if (document.body && document.body.hasAttribute('data-fx-observe')) observe();
+    if (debugRequested()) showDebug();
+  }
+
+  function destroy() {
+    unobserve();
+    for (const binding of Array.from(bindings.values())) binding.detach();
+    const toggle = document.getElementById('fx-motion-toggle');
+    if (toggle) toggle.removeEventListener('change', onMotionToggle);
+    if (reducedMotionQuery) reducedMotionQuery.removeEventListener('change', applyMotionPref);
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+    window.removeEventListener('storage', onStorage);
+    if (themeObserver) themeObserver.disconnect();
+    themeObserver = null;
+    hideDebug();
+    scheduler.reset();
+    initialized = false;
+  }
+
+  function register(name, factory, options) {
+    if (!name || typeof name !== 'string') throw new TypeError('CardEffects.register: name must be a string');
+    if (typeof factory !== 'function') throw new TypeError('CardEffects.register: factory must be a function');
+    const layer = (options && options.layer) || '';
+    if (layer && !LAYERS.includes(layer)) {
+      throw new TypeError(`CardEffects.register: layer must be one of ${LAYERS.join(', ')}`);
+    }
+
+    // Re-registering replaces the effect on cards that already use it.
+    for (const binding of Array.from(bindings.values())) {
+      if (binding.fx === name) binding.detach();
+    }
+    registry[name] = factory;
+    layers[name] = layer;
+    refresh();
   }
 
+  // Public API. Load extra effect scripts after this file (both deferred):
+  //   CardEffects.register('my-effect', (card) => ({ onEnter, onMove, onLeave, dispose }));
+  // { layer: 'canvas' } as a third argument asks for a canvas.fx-canvas on
+  // cards built by booklet-cards.js.
+  // Pages that render cards on the client can call CardEffects.observe()
+  // or add data-fx-observe to <body> so new [data-fx] nodes attach themselves.
+  window.CardEffects = {
+    register,
+    attach: (el) => (initialized ? attachCard(el) : false),
+    detach: detachCard,
+    refresh,
+    destroy,
+    observe,
+    unobserve,
+    has: (name) => Boolean(factoryFor(name)),
+    names: () => Object.keys(registry),
+    layer: (name) => (factoryFor(name) && layers[name]) || '',
+    // Headless runs: CardEffects.configure({ random, now, requestFrame,
+    // cancelFrame, measure, context, pixelRatio }); configure() restores
+    // the browser's. seededRandom(seed) returns a repeatable random().
+    configure,
+    seededRandom,
+    // Shared frame loop for registered effects:
+    //   const fx = CardEffects.scheduler.loop('my-effect', { maxFps, frame(ts, dt), onQuality(q) });
+    //   fx.start(); fx.stop(); CardEffects.scheduler.defer(fx, clear, ms);
+    scheduler: {
+      loop: scheduler.loop,
+      defer: scheduler.defer,
+      cancel: scheduler.cancel,
+      snapshot: scheduler.snapshot,
+      get quality() {
+        return scheduler.quality;
+      },
+    },
+  };
+
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
   } else {
@@ -73,367 +927,1860 @@
   }
 
   // -------------------------
-  // Effect: glow-matrix (existing)
+  // Per-card options (data-fx-*)
   // -------------------------
 
-  function createGlowMatrixEffect(card) {
-    const matrix = card.querySelector('.fx-matrix');
-    if (!matrix) return {};
+  // Config keys map to attributes: maxFps <- data-fx-max-fps.
+  function fxDatasetKey(key) {
+    return 'fx' + key[0].toUpperCase() + key.slice(1);
+  }
 
-    const DIGITS = '0123456789';
-    let timer = null;
-    let clearTimer = null;
+  function warnFxOption(card, key, raw) {
+    console.warn(`card-effects: ignoring data-fx option ${key}="${raw}"`, card);
+  }
 
-    function buildDigits(rows, cols) {
-      let out = '';
-      for (let r = 0; r < rows; r++) {
-        let line = '';
-        for (let c = 0; c < cols; c++) {
-          const roll = Math.random();
-          if (roll < 0.22) line += ' ';
-          else line += DIGITS[(Math.random() * DIGITS.length) | 0];
-        }
-        out += line + (r === rows - 1 ? '' : '\n');
+  // Overrides numeric config entries from the card's data-fx-* attributes.
+  // limits: { key: { min, max, int? } }; anything unparsable keeps the default,
+  // out-of-range values are clamped.
+  function readFxConfig(card, config, limits) {
+    for (const key of Object.keys(limits)) {
+      const raw = card.dataset[fxDatasetKey(key)];
+      if (raw === undefined || raw.trim() === '') continue;
+
+      let n = Number(raw);
+      if (!Number.isFinite(n)) {
+        warnFxOption(card, key, raw);
+        continue;
       }
-      return out;
+      const lim = limits[key];
+      if (lim.int) n = Math.round(n);
+      config[key] = Math.max(lim.min, Math.min(lim.max, n));
     }
+    return config;
+  }
 
-    function measureCharWidth(sampleEl) {
-      const probe = document.createElement('span');
-      const styles = getComputedStyle(sampleEl);
-      probe.style.position = 'absolute';
-      probe.style.left = '-9999px';
-      probe.style.top = '0';
-      probe.style.whiteSpace = 'pre';
-      probe.style.fontFamily = styles.fontFamily;
-      probe.style.fontSize = styles.fontSize;
-      probe.style.fontWeight = styles.fontWeight;
-      probe.style.letterSpacing = styles.letterSpacing;
-      probe.textContent = '0000000000';
-      document.body.appendChild(probe);
-      const w = probe.getBoundingClientRect().width / 10;
-      probe.remove();
-      return Math.max(1, w);
-    }
+  const THEME_COLOR_NAMES = ['primary', 'secondary', 'success', 'info', 'warning', 'danger', 'light', 'dark'];
 
-    function start() {
-      if (clearTimer) {
-        clearTimeout(clearTimer);
-        clearTimer = null;
-      }
+  // Current [r, g, b] of a Bootstrap colour: themeRgb('primary') reads
+  // --bs-primary-rgb. Values change with data-bs-theme, so effects call this
+  // again from onThemeChange rather than caching it for good.
+  function themeRgb(name) {
+    return parseRgbTriplet(getComputedStyle(document.documentElement).getPropertyValue(`--bs-${name}-rgb`));
+  }
 
-      const rect = card.getBoundingClientRect();
-      const ms = getComputedStyle(matrix);
-      const padX = parseFloat(ms.paddingLeft) + parseFloat(ms.paddingRight);
-      const padY = parseFloat(ms.paddingTop) + parseFloat(ms.paddingBottom);
-      const charW = measureCharWidth(matrix);
-      const cols = Math.max(22, Math.floor((rect.width - padX) / charW));
-      const rows = Math.max(8, Math.floor((rect.height - padY) / 18));
+  function parseHexColor(value) {
+    const m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value);
+    if (!m) return null;
+    const hex = m[1].length === 3 ? m[1].replace(/./g, '$&$&') : m[1];
+    return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  }
 
-      if (timer) clearInterval(timer);
-      matrix.textContent = buildDigits(rows, cols);
-      timer = setInterval(() => {
-        matrix.textContent = buildDigits(rows, cols);
-      }, 80);
+  // data-fx-palette="danger, warning" or "#0d6efd,#d63384": a comma list of
+  // Bootstrap theme colour names or hex colours. Missing/invalid entries
+  // fall back position-by-position, so the result always has the same
+  // length as `fallback`.
+  function readPalette(card, fallback) {
+    const raw = card.dataset.fxPalette;
+    if (!raw) return fallback;
+
+    const entries = raw.split(',').map((p) => p.trim().toLowerCase());
+    return fallback.map((rgb, i) => {
+      const entry = entries[i];
+      if (!entry) return rgb;
+      if (THEME_COLOR_NAMES.includes(entry)) return themeRgb(entry);
+      const hex = parseHexColor(entry);
+      if (hex) return hex;
+      warnFxOption(card, 'palette', entry);
+      return rgb;
+    });
+  }
+
+  // data-fx-charset="αβγ∑": glyphs for text effects. Whitespace is dropped,
+  // duplicates removed, and the set capped so a typo can't blow up layout.
+  function readCharset(card, fallback) {
+    const raw = card.dataset.fxCharset;
+    if (!raw) return fallback;
+    const glyphs = Array.from(new Set(Array.from(raw).filter((ch) => /\S/.test(ch)))).slice(0, 64);
+    if (!glyphs.length) {
+      warnFxOption(card, 'charset', raw);
+      return fallback;
+    }
+    return glyphs;
+  }
+
+  // data-fx-mode="wire": one keyword out of a fixed list; anything else
+  // keeps the fallback.
+  function readFxChoice(card, key, choices, fallback) {
+    const raw = card.dataset[fxDatasetKey(key)];
+    if (!raw) return fallback;
+    const value = raw.trim().toLowerCase();
+    if (choices.includes(value)) return value;
+    warnFxOption(card, key, raw);
+    return fallback;
+  }
+
+  // -------------------------
+  // Effect: glow-matrix (Math)
+  // -------------------------
+
+  // Falling columns of maths symbols on a canvas, with formula tokens from
+  // the Math AA/AI syllabus surfacing now and then. The card's radial glow
+  // (--glow-x/--glow-y, drawn in CSS) still follows the pointer, and
+  // glyphs under it light up too. Without canvas support the old
+  // text-grid version runs instead.
+  const MATH_GLYPHS = Array.from('∫Σπ√θ∞∂Δλμσφ≈≠≤≥±∈ℝℕ∏xyn0123456789');
+  const MATH_TOKENS = [
+    'dy/dx',
+    'f′(x)',
+    '∫f(x)dx',
+    'lim',
+    'sin θ',
+    'cos θ',
+    'tan θ',
+    'ln x',
+    'eˣ',
+    'log₁₀',
+    'nCr',
+    'x̄',
+    'σ²',
+    'P(A|B)',
+    'E(X)',
+    'Sₙ',
+    'u₁rⁿ⁻¹',
+    'a + bi',
+    'z*',
+    'πr²',
+    'y = mx + c',
+    'det A',
+    'v·w',
+  ];
+  const MATRIX_GLOW_RADIUS = 110;
+
+  function createGlowMatrixEffect(card, env) {
+    const matrix = card.querySelector('.fx-matrix');
+    if (!matrix) return {};
+
+    const canvas = document.createElement('canvas');
+    const ctx = env.context(canvas);
+    if (!ctx) return createGlowMatrixTextEffect(card, matrix, env);
+    canvas.className = 'fx-matrix-canvas';
+    matrix.appendChild(canvas);
+
+    const GLYPHS = readCharset(card, MATH_GLYPHS);
+    const config = readFxConfig(
+      card,
+      {
+        // Rows per second a column falls, on average.
+        speed: 9,
+        // Seconds for a glyph to fade out.
+        trail: 1.4,
+        // Formula tokens per second.
+        tokenRate: 0.7,
+        maxFps: 30,
+      },
+      {
+        speed: { min: 1, max: 40 },
+        trail: { min: 0.2, max: 6 },
+        tokenRate: { min: 0, max: 5 },
+        maxFps: { min: 5, max: 60 },
+      }
+    );
+
+    let running = false;
+    let width = 0;
+    let height = 0;
+    let cellW = 10;
+    let cellH = 14;
+    let cols = 0;
+    let rows = 0;
+    let font = '';
+    let tokenFont = '';
+    // Per cell (row-major): glyph index and brightness 1 -> 0.
+    let glyphAt = new Uint8Array(0);
+    let life = new Float32Array(0);
+    // Per column: head row (float), or -1 while the column is idle.
+    let heads = new Float32Array(0);
+    let speeds = new Float32Array(0);
+    let tokens = [];
+    let pointerX = -1e4;
+    let pointerY = -1e4;
+
+    let inkRgb;
+    let headRgb;
+
+    function readColors() {
+      [inkRgb, headRgb] = readPalette(card, [themeRgb('body-color'), themeRgb('primary')]);
+    }
+    readColors();
+
+    const fx = scheduler.loop('glow-matrix', {
+      maxFps: config.maxFps,
+      frame: (ts, dt) => {
+        update(Math.min(dt, 0.1));
+        draw();
+      },
+    });
+
+    function rand(min, max) {
+      return min + env.random() * (max - min);
+    }
+
+    function resize() {
+      const rect = env.measure(card);
+      width = Math.max(1, rect.width);
+      height = Math.max(1, rect.height);
+
+      const dpr = Math.min(2, env.pixelRatio());
+      canvas.width = Math.floor(width * dpr);
+      canvas.height = Math.floor(height * dpr);
+      canvas.style.width = width + 'px';
+      canvas.style.height = height + 'px';
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+      // Same type as the text version (see .fx-matrix in custom.css).
+      const ms = getComputedStyle(matrix);
+      const size = parseFloat(ms.fontSize) || 12;
+      font = `${size}px ${ms.fontFamily || 'monospace'}`;
+      tokenFont = `600 ${size}px ${ms.fontFamily || 'monospace'}`;
+      ctx.font = font;
+      cellW = Math.max(size * 0.6, ctx.measureText('0').width) * 1.5;
+      cellH = size * 1.3;
+
+      cols = Math.max(1, Math.ceil(width / cellW));
+      rows = Math.max(1, Math.ceil(height / cellH));
+      glyphAt = new Uint8Array(cols * rows);
+      life = new Float32Array(cols * rows);
+      heads = new Float32Array(cols);
+      speeds = new Float32Array(cols);
+      tokens = [];
+      for (let c = 0; c < cols; c++) {
+        heads[c] = env.random() < 0.5 ? rand(0, rows) : -1;
+        speeds[c] = config.speed * rand(0.6, 1.4);
+      }
+      // Run the rain for a moment so the first (or only, with reduced
+      // motion) frame already has trails.
+      for (let i = 0; i < 20; i++) update(0.05);
+    }
+
+    function update(dt) {
+      const fade = dt / config.trail;
+      for (let i = 0; i < life.length; i++) {
+        if (life[i] > 0) life[i] = Math.max(0, life[i] - fade);
+      }
+
+      for (let c = 0; c < cols; c++) {
+        if (heads[c] < 0) {
+          // Idle columns restart at random; fewer at lower quality.
+          if (env.random() < dt * 0.5 * scheduler.quality) {
+            heads[c] = 0;
+            speeds[c] = config.speed * rand(0.6, 1.4);
+          }
+          continue;
+        }
+        const from = Math.floor(heads[c]);
+        heads[c] += speeds[c] * dt;
+        const to = Math.min(rows - 1, Math.floor(heads[c]));
+        for (let r = Math.max(0, from); r <= to; r++) {
+          const i = r * cols + c;
+          glyphAt[i] = (env.random() * GLYPHS.length) | 0;
+          life[i] = 1;
+        }
+        if (heads[c] >= rows) heads[c] = -1;
+      }
+
+      if (MATH_TOKENS.length && env.random() < config.tokenRate * dt) {
+        tokens.push({
+          text: MATH_TOKENS[(env.random() * MATH_TOKENS.length) | 0],
+          x: rand(width * 0.15, width * 0.85),
+          y: rand(height * 0.15, height * 0.85),
+          life: 1,
+        });
+      }
+      for (const token of tokens) token.life -= dt / (config.trail * 1.5);
+      tokens = tokens.filter((token) => token.life > 0);
+    }
+
+    // 0..1 extra brightness under the pointer.
+    function glowAt(x, y) {
+      const d = Math.hypot(x - pointerX, y - pointerY);
+      return d < MATRIX_GLOW_RADIUS ? 1 - d / MATRIX_GLOW_RADIUS : 0;
+    }
+
+    function draw() {
+      ctx.clearRect(0, 0, width, height);
+      ctx.font = font;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.shadowBlur = 0;
+
+      for (let r = 0; r < rows; r++) {
+        const y = (r + 0.5) * cellH;
+        for (let c = 0; c < cols; c++) {
+          const i = r * cols + c;
+          const l = life[i];
+          if (l < 0.03) continue;
+          const x = (c + 0.5) * cellW;
+          const isHead = r === Math.floor(heads[c]);
+          const alpha = l * (0.28 + 0.5 * glowAt(x, y));
+          ctx.fillStyle = rgba(isHead ? headRgb : inkRgb, isHead ? Math.max(alpha, 0.6) : alpha);
+          ctx.fillText(GLYPHS[glyphAt[i]], x, y);
+        }
+      }
+
+      // Tokens get a soft glow of their own.
+      ctx.font = tokenFont;
+      ctx.shadowColor = rgba(headRgb, 0.6);
+      ctx.shadowBlur = 6;
+      for (const token of tokens) {
+        // Fade in over the first fifth, then out.
+        const a = Math.min(1, (1 - token.life) * 5, token.life);
+        ctx.fillStyle = rgba(headRgb, a * (0.55 + 0.4 * glowAt(token.x, token.y)));
+        ctx.fillText(token.text, token.x, token.y);
+      }
+      ctx.shadowBlur = 0;
+    }
+
+    function trackPointer(evt) {
+      const rect = env.measure(card);
+      pointerX = evt.clientX - rect.left;
+      pointerY = evt.clientY - rect.top;
+    }
+
+    function clear() {
+      ctx.clearRect(0, 0, width, height);
+    }
+
+    function start(evt) {
+      if (evt) trackPointer(evt);
+      if (running) return;
+      scheduler.cancel(fx);
+      resize();
+      running = true;
+      // The first frame is drawn even with reduced motion and stays up as a still.
+      fx.start();
+    }
+
+    function pause() {
+      fx.stop();
+    }
+
+    function resume() {
+      if (running && animationsAllowed()) fx.start();
     }
 
     function stop() {
-      if (timer) {
-        clearInterval(timer);
-        timer = null;
+      running = false;
+      pointerX = pointerY = -1e4;
+      fx.stop();
+      scheduler.defer(fx, clear, FADE_MS);
+    }
+
+    const ro = new ResizeObserver(() => {
+      if (!running) return;
+      resize();
+    });
+    ro.observe(card);
+
+    function dispose() {
+      running = false;
+      fx.stop();
+      scheduler.cancel(fx);
+      ro.disconnect();
+      canvas.remove();
+    }
+
+    function onThemeChange() {
+      readColors();
+    }
+
+    return {
+      onEnter: start,
+      onMove: trackPointer,
+      onLeave: stop,
+      onPause: pause,
+      onResume: resume,
+      onThemeChange,
+      dispose,
+    };
+  }
+
+  // Text-grid fallback: rewrites the .fx-matrix text on every frame.
+  function createGlowMatrixTextEffect(card, matrix, env) {
+    const DIGITS = readCharset(card, MATH_GLYPHS);
+    const config = readFxConfig(card, { interval: 80 }, { interval: { min: 40, max: 1000 } });
+    let running = false;
+    let grid = { rows: 0, cols: 0 };
+    // Measured once; the probe span forces a layout.
+    let charW = 0;
+
+    const fx = scheduler.loop('glow-matrix', {
+      maxFps: 1000 / config.interval,
+      frame: () => {
+        matrix.textContent = buildDigits(grid.rows, grid.cols);
+      },
+    });
+
+    function buildDigits(rows, cols) {
+      let out = '';
+      for (let r = 0; r < rows; r++) {
+        let line = '';
+        for (let c = 0; c < cols; c++) {
+          const roll = env.random();
+          if (roll < 0.22) line += ' ';
+          else line += DIGITS[(env.random() * DIGITS.length) | 0];
+        }
+        out += line + (r === rows - 1 ? '' : '\n');
       }
-      if (clearTimer) clearTimeout(clearTimer);
-      clearTimer = setTimeout(() => {
-        matrix.textContent = '';
-        clearTimer = null;
-      }, 260);
+      return out;
+    }
+
+    function measureCharWidth(sampleEl) {
+      const probe = document.createElement('span');
+      const styles = getComputedStyle(sampleEl);
+      probe.style.position = 'absolute';
+      probe.style.left = '-9999px';
+      probe.style.top = '0';
+      probe.style.whiteSpace = 'pre';
+      probe.style.fontFamily = styles.fontFamily;
+      probe.style.fontSize = styles.fontSize;
+      probe.style.fontWeight = styles.fontWeight;
+      probe.style.letterSpacing = styles.letterSpacing;
+      probe.textContent = '0000000000';
+      document.body.appendChild(probe);
+      const w = env.measure(probe).width / 10;
+      probe.remove();
+      return Math.max(1, w);
+    }
+
+    function clear() {
+      matrix.textContent = '';
+    }
+
+    function start() {
+      scheduler.cancel(fx);
+
+      const rect = env.measure(card);
+      const ms = getComputedStyle(matrix);
+      const padX = parseFloat(ms.paddingLeft) + parseFloat(ms.paddingRight);
+      const padY = parseFloat(ms.paddingTop) + parseFloat(ms.paddingBottom);
+      if (!charW) charW = measureCharWidth(matrix);
+      const cols = Math.max(22, Math.floor((rect.width - padX) / charW));
+      const rows = Math.max(8, Math.floor((rect.height - padY) / 18));
+
+      grid = { rows, cols };
+      running = true;
+      // The first frame is drawn even with reduced motion and stays up as a still.
+      fx.stop();
+      fx.start();
+    }
+
+    function pause() {
+      fx.stop();
+    }
+
+    function resume() {
+      if (running && animationsAllowed()) fx.start();
+    }
+
+    function stop() {
+      running = false;
+      fx.stop();
+      scheduler.defer(fx, clear, FADE_MS);
+    }
+
+    function dispose() {
+      running = false;
+      fx.stop();
+      scheduler.cancel(fx);
+      clear();
     }
 
     return {
       onEnter: start,
       onLeave: stop,
+      onPause: pause,
+      onResume: resume,
+      dispose,
+    };
+  }
+
+  // -------------------------
+  // Effect: vector-field (Physics)
+  // -------------------------
+
+  function parseRgbTriplet(cssValue) {
+    // Expected format: "13, 110, 253" (Bootstrap vars)
+    const parts = String(cssValue)
+      .trim()
+      .split(',')
+      .map((p) => Number(p.trim()))
+      .filter((n) => Number.isFinite(n));
+    if (parts.length >= 3) return [parts[0], parts[1], parts[2]];
+    return [0, 0, 0];
+  }
+
+  function lerp(a, b, t) {
+    return a + (b - a) * t;
+  }
+
+  function rgba(rgb, a) {
+    return `rgba(${rgb[0]}, ${rgb[1]}, ${rgb[2]}, ${a})`;
+  }
+
+  // data-fx-mode for vector-field:
+  // - charges: field lines of point charges; click drops a charge (+, or −
+  //   with Shift), clicking a charge flips its sign.
+  // - wire: magnetic field of straight currents through the card; click
+  //   adds a wire (out of the card, or into it with Shift) or reverses one.
+  // - dipole: uniform field with an electric dipole that swings into line;
+  //   click flips the dipole.
+  // - cursor: the original arrows pointing at the pointer.
+  const VECTOR_FIELD_MODES = ['charges', 'wire', 'dipole', 'cursor'];
+  // How close (px) a click has to be to pick an existing charge or wire.
+  const SOURCE_HIT_PX = 12;
+  // Angular acceleration per N C⁻¹ (α = pE sinθ / I, with I chosen so the
+  // default field swings the dipole at about half a hertz).
+  const DIPOLE_SWING_PER_FIELD = 6 / 5000;
+
+  function createVectorFieldEffect(card, env) {
+    const canvas = card.querySelector('canvas.fx-canvas');
+    if (!canvas || !window.FxDraw) return {};
+
+    let running = false;
+    let cursorX = 0;
+    let cursorY = 0;
+    let hasCursor = false;
+    let dpr = 1;
+
+    let points = [];
+    let width = 0;
+    let height = 0;
+
+    const config = {
+      mode: readFxChoice(card, 'mode', VECTOR_FIELD_MODES, 'charges'),
+      // Density scales roughly with 1/spacing^2. Using ~12*sqrt(2) gives ~half.
+      spacing: 17,
+      segmentLength: 7,
+      lineWidth: 1,
+      alpha: 0.55,
+      // Field line modes.
+      linesPerCharge: 12,
+      step: 4,
+      arrowSpacing: 70,
+      charge: 1, // μC
+      current: 5, // A
+      uniformField: 5000, // N C⁻¹
+      dipoleLength: 40, // px
+      maxSources: 8,
+      maxFps: 40,
+    };
+
+    readFxConfig(card, config, {
+      spacing: { min: 8, max: 60 },
+      segmentLength: { min: 2, max: 30 },
+      lineWidth: { min: 0.5, max: 4 },
+      alpha: { min: 0.05, max: 1 },
+      linesPerCharge: { min: 4, max: 48, int: true },
+      step: { min: 2, max: 12 },
+      arrowSpacing: { min: 20, max: 400 },
+      charge: { min: 0.01, max: 100 },
+      current: { min: 0.1, max: 1000 },
+      uniformField: { min: 0, max: 1e7 },
+      dipoleLength: { min: 10, max: 200 },
+      maxSources: { min: 1, max: 20, int: true },
+      maxFps: { min: 5, max: 60 },
+    });
+
+    // Far -> near colours (weak -> strong field in the physics modes).
+    let farRgb;
+    let nearRgb;
+    // Readout label colours.
+    let inkRgb;
+    let bgRgb;
+    const labelFont =
+      '600 11px ' +
+      (getComputedStyle(document.documentElement).getPropertyValue('--bs-font-sans-serif') || 'sans-serif');
+
+    function readColors() {
+      [farRgb, nearRgb] = readPalette(card, [themeRgb('primary'), themeRgb('danger')]);
+      inkRgb = themeRgb('body-color');
+      bgRgb = themeRgb('body-bg');
+    }
+    readColors();
+
+    function settings() {
+      return { config, farRgb, nearRgb, inkRgb, bgRgb, font: labelFont };
+    }
+
+    // Charges / wires as fractions of the card, so resizing keeps the
+    // layout; sign is the charge sign or current direction.
+    let sources =
+      config.mode === 'charges'
+        ? [
+            { fx: 0.35, fy: 0.5, sign: 1 },
+            { fx: 0.65, fy: 0.5, sign: -1 },
+          ]
+        : config.mode === 'wire'
+          ? [{ fx: 0.5, fy: 0.5, sign: 1 }]
+          : [];
+    // Dipole direction (from − to +) against the uniform field along +x.
+    let dipoleAngle = 2.2;
+    let dipoleSpin = 0;
+    let lines = [];
+    let tracedKey = '';
+
+    // Drawn in the effects worker when the page opts in, else right here.
+    const worker = offscreenRenderer(canvas, 'vector-field', settings(), (ms) => fx.report(ms));
+    const ctx = worker ? null : env.context(canvas);
+    if (!worker && !ctx) return {};
+
+    const fx = scheduler.loop('vector-field', {
+      maxFps: config.maxFps,
+      frame: draw,
+      offthread: Boolean(worker),
+      onQuality: resize,
+    });
+
+    // Lower quality -> wider spacing; arrow count follows quality.
+    function spacing() {
+      return config.spacing / Math.sqrt(scheduler.quality);
+    }
+
+    function resize() {
+      const rect = env.measure(card);
+      width = Math.max(1, rect.width);
+      height = Math.max(1, rect.height);
+
+      dpr = Math.min(2, env.pixelRatio());
+      canvas.style.width = width + 'px';
+      canvas.style.height = height + 'px';
+
+      if (worker) {
+        worker.post({ type: 'resize', width, height, dpr, spacing: spacing() });
+        return;
+      }
+
+      canvas.width = Math.floor(width * dpr);
+      canvas.height = Math.floor(height * dpr);
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      points = FxDraw.vectorFieldPoints(width, height, spacing());
+    }
+
+    function currentField() {
+      if (config.mode === 'wire') {
+        return {
+          kind: 'magnetic',
+          charges: [],
+          wires: sources.map((s) => ({ x: s.fx * width, y: s.fy * height, current: s.sign * config.current })),
+          uniform: null,
+        };
+      }
+      if (config.mode === 'dipole') {
+        const dx = (Math.cos(dipoleAngle) * config.dipoleLength) / 2;
+        const dy = (Math.sin(dipoleAngle) * config.dipoleLength) / 2;
+        return {
+          kind: 'electric',
+          charges: [
+            { x: width / 2 + dx, y: height / 2 + dy, q: config.charge },
+            { x: width / 2 - dx, y: height / 2 - dy, q: -config.charge },
+          ],
+          wires: [],
+          uniform: [config.uniformField, 0],
+        };
+      }
+      return {
+        kind: 'electric',
+        charges: sources.map((s) => ({ x: s.fx * width, y: s.fy * height, q: s.sign * config.charge })),
+        wires: [],
+        uniform: null,
+      };
+    }
+
+    // Fewer, coarser lines at lower scheduler quality.
+    function lineDensity() {
+      const q = scheduler.quality;
+      return {
+        perCharge: (config.linesPerCharge * q) / config.charge,
+        spacing: (config.spacing * 2) / q,
+        wireGrowth: 1 + 0.35 / q,
+        step: config.step / Math.sqrt(q),
+      };
+    }
+
+    // τ = pE sinθ turns the dipole into line with the field; damping lets
+    // it settle instead of swinging forever.
+    function swingDipole(dt) {
+      const alpha = -DIPOLE_SWING_PER_FIELD * config.uniformField * Math.sin(dipoleAngle) - 1.2 * dipoleSpin;
+      dipoleSpin += alpha * dt;
+      dipoleAngle += dipoleSpin * dt;
+      if (Math.abs(dipoleSpin) < 1e-3 && Math.abs(Math.sin(dipoleAngle)) < 1e-3) dipoleSpin = 0;
+    }
+
+    function drawField(dt) {
+      if (config.mode === 'dipole') swingDipole(dt);
+      const field = currentField();
+      const density = lineDensity();
+      const probe = hasCursor ? { x: cursorX, y: cursorY } : null;
+      // Lines only change with the sources; the probe is redrawn every frame.
+      const key = JSON.stringify([width, height, density, field]);
+
+      if (worker) {
+        worker.post({ type: 'frame', field, density, key, probe });
+        return;
+      }
+      if (key !== tracedKey) {
+        lines = FxDraw.traceFieldLines(field, width, height, density);
+        tracedKey = key;
+      }
+      FxDraw.drawFieldLines(ctx, Object.assign({ width, height, field, lines, probe }, settings()));
+    }
+
+    function draw(ts, dt) {
+      if (config.mode !== 'cursor') {
+        drawField(dt);
+        return;
+      }
+
+      // If cursor hasn't moved yet, keep it near center.
+      const cx = hasCursor ? cursorX : width * 0.5;
+      const cy = hasCursor ? cursorY : height * 0.45;
+      const t = ts * 0.001;
+
+      if (worker) worker.post({ type: 'frame', cx, cy, t });
+      else FxDraw.drawVectorField(ctx, { width, height, points, cx, cy, t, config, farRgb, nearRgb });
+    }
+
+    function clear() {
+      if (worker) worker.post({ type: 'clear' });
+      else ctx.clearRect(0, 0, width, height);
+    }
+
+    function pause() {
+      fx.stop();
+    }
+
+    function resume() {
+      if (running && animationsAllowed()) fx.start();
+    }
+
+    function start() {
+      if (running) return;
+      scheduler.cancel(fx);
+      resize();
+      running = true;
+      fx.start();
+    }
+
+    function stop() {
+      running = false;
+      hasCursor = false;
+      fx.stop();
+
+      // Keep the last frame so CSS opacity can fade it out.
+      scheduler.defer(fx, clear, FADE_MS);
+    }
+
+    // Keep canvas sized correctly while hovered.
+    const ro = new ResizeObserver(() => {
+      if (!running) return;
+      resize();
+    });
+    ro.observe(card);
+
+    function dispose() {
+      running = false;
+      fx.stop();
+      scheduler.cancel(fx);
+      clear();
+      ro.disconnect();
+      if (worker) worker.dispose();
+    }
+
+    function onThemeChange() {
+      readColors();
+      if (worker) worker.post({ type: 'settings', settings: settings() });
+    }
+
+    function trackCursor(evt) {
+      const rect = env.measure(card);
+      cursorX = evt.clientX - rect.left;
+      cursorY = evt.clientY - rect.top;
+      hasCursor = true;
+    }
+
+    function onClick(evt) {
+      if (config.mode === 'cursor') return;
+      trackCursor(evt);
+
+      if (config.mode === 'dipole') {
+        // Nearly upside down: it swings back through the unstable position.
+        dipoleAngle += Math.PI - 0.35;
+        dipoleSpin = 0;
+      } else {
+        const hit = sources.find(
+          (s) => Math.hypot(s.fx * width - cursorX, s.fy * height - cursorY) <= SOURCE_HIT_PX
+        );
+        if (hit) {
+          hit.sign = -hit.sign;
+        } else {
+          sources.push({ fx: cursorX / width, fy: cursorY / height, sign: evt.shiftKey ? -1 : 1 });
+          if (sources.length > config.maxSources) sources.shift();
+        }
+      }
+      // Reduced motion: repaint the still frame.
+      fx.start();
+    }
+
+    return {
+      onEnter: (evt) => {
+        trackCursor(evt);
+        start();
+      },
+      onMove: trackCursor,
+      onClick,
+      onLeave: () => stop(),
+      onPause: pause,
+      onResume: resume,
+      onThemeChange,
+      dispose,
+    };
+  }
+
+  // -------------------------
+  // Molecule files (MDL SDF)
+  // -------------------------
+
+  // Templates for the molecules effect live in static/data/molecules.sdf:
+  // V2000 molfiles separated by "$$$$", the first line of each record being
+  // the name reactions refer to. A card can point elsewhere with
+  // data-fx-templates="...".
+  const SCRIPT_URL = (document.currentScript && document.currentScript.src) || document.baseURI;
+  const DEFAULT_MOLECULE_FILE = new URL('../data/molecules.sdf', SCRIPT_URL).href;
+
+  // Molfile bond types -> drawn order (4 = aromatic, drawn as 1.5).
+  const MOLFILE_BOND_ORDERS = { 1: 1, 2: 2, 3: 3, 4: 1.5 };
+
+  // CPK colours for elements the theme palette doesn't cover.
+  const CPK_RGB = {
+    F: [144, 224, 80],
+    Br: [166, 41, 41],
+    I: [148, 0, 148],
+    P: [255, 128, 0],
+    B: [255, 181, 181],
+    Si: [240, 200, 160],
+    Li: [204, 128, 255],
+    Na: [171, 92, 242],
+    K: [143, 64, 212],
+    Mg: [138, 255, 0],
+    Ca: [61, 255, 0],
+    Fe: [224, 102, 51],
+    Cu: [200, 128, 51],
+    Zn: [125, 128, 176],
+  };
+  const CPK_OTHER_RGB = [255, 20, 147];
+
+  // url -> Promise<template[]>; every molecules card shares one download.
+  const moleculeFiles = new Map();
+
+  function loadMoleculeFile(url) {
+    if (!moleculeFiles.has(url)) {
+      const request = fetch(url)
+        .then((res) => {
+          if (!res.ok) throw new Error('HTTP ' + res.status);
+          return res.text();
+        })
+        .then(parseSdf);
+      // A failed download can be retried by the next card.
+      request.catch(() => moleculeFiles.delete(url));
+      moleculeFiles.set(url, request);
+    }
+    return moleculeFiles.get(url);
+  }
+
+  function parseSdf(text) {
+    const templates = [];
+    const records = text.replace(/\r\n?/g, '\n').split(/^\$\$\$\$[^\n]*$/m);
+    for (const record of records) {
+      const tmpl = parseMolfile(record.replace(/^\n/, ''));
+      if (tmpl) templates.push(tmpl);
+    }
+    return templates;
+  }
+
+  // One V2000 record -> { name, atoms: [{el, x, y}], bonds: [[a, b, order]] }
+  // in bond units: centred on (0,0), y pointing down, median bond length 1.
+  // Records that don't parse are skipped.
+  function parseMolfile(block) {
+    const lines = block.split('\n');
+    const counts = lines[3];
+    if (!counts || /V3000/.test(counts)) return null;
+    const atomCount = parseInt(counts.slice(0, 3), 10);
+    const bondCount = parseInt(counts.slice(3, 6), 10) || 0;
+    if (!(atomCount > 0) || lines.length < 4 + atomCount + bondCount) return null;
+
+    const atoms = [];
+    for (let i = 0; i < atomCount; i++) {
+      const line = lines[4 + i];
+      const x = parseFloat(line.slice(0, 10));
+      const y = parseFloat(line.slice(10, 20));
+      const symbol = line.slice(31, 34).trim();
+      if (!symbol || !Number.isFinite(x) || !Number.isFinite(y)) return null;
+      atoms.push({ el: symbol[0].toUpperCase() + symbol.slice(1).toLowerCase(), x, y: -y });
+    }
+
+    const bonds = [];
+    for (let i = 0; i < bondCount; i++) {
+      const line = lines[4 + atomCount + i];
+      const a = parseInt(line.slice(0, 3), 10) - 1;
+      const b = parseInt(line.slice(3, 6), 10) - 1;
+      if (!atoms[a] || !atoms[b]) return null;
+      bonds.push([a, b, MOLFILE_BOND_ORDERS[parseInt(line.slice(6, 9), 10)] || 1]);
+    }
+
+    const cx = atoms.reduce((sum, atom) => sum + atom.x, 0) / atoms.length;
+    const cy = atoms.reduce((sum, atom) => sum + atom.y, 0) / atoms.length;
+    const lengths = bonds
+      .map(([a, b]) => Math.hypot(atoms[a].x - atoms[b].x, atoms[a].y - atoms[b].y))
+      .sort((p, q) => p - q);
+    const unit = lengths[lengths.length >> 1] || 1;
+    for (const atom of atoms) {
+      atom.x = (atom.x - cx) / unit;
+      atom.y = (atom.y - cy) / unit;
+    }
+
+    return {
+      name: lines[0].trim() || atoms.map((atom) => atom.el).join(''),
+      atoms,
+      bonds,
+      // Furthest atom from the centre, in bond lengths.
+      extent: atoms.reduce((r, atom) => Math.max(r, Math.hypot(atom.x, atom.y)), 0),
+    };
+  }
+
+  // -------------------------
+  // Effect: molecules (Chemistry)
+  // -------------------------
+
+  function createMoleculesEffect(card, env) {
+    const canvas = card.querySelector('canvas.fx-canvas');
+    if (!canvas) return {};
+
+    const ctx = env.context(canvas);
+    if (!ctx) return {};
+
+    let primaryRgb;
+    let dangerRgb;
+    let warningRgb;
+    let successRgb;
+    let bodyRgb;
+    let pageBgRgb;
+    const labelFont =
+      '600 11px ' +
+      (getComputedStyle(document.documentElement).getPropertyValue('--bs-font-sans-serif') || 'sans-serif');
+
+    function readColors() {
+      primaryRgb = themeRgb('primary');
+      dangerRgb = themeRgb('danger');
+      warningRgb = themeRgb('warning');
+      successRgb = themeRgb('success');
+      bodyRgb = themeRgb('body-color');
+      // The theme's, not body's computed background: that is transparent
+      // (rgba(0, 0, 0, 0)) unless the page paints one.
+      pageBgRgb = themeRgb('body-bg');
+    }
+    readColors();
+
+    let running = false;
+    let dpr = 1;
+    let width = 0;
+    let height = 0;
+    let molecules = [];
+    let cursorX = 0;
+    let cursorY = 0;
+    let hasCursor = false;
+    // Equation shown after a click: { text, x, y, until }.
+    let flash = null;
+
+    const config = {
+      // Target density; actual count scales with card area.
+      minCount: 8,
+      maxCount: 14,
+      pixelsPerMolecule: 6500,
+      // Cursor field in px/s^2 at the pointer for a one-atom molecule,
+      // fading to 0 at cursorRadius. Negative attracts.
+      cursorForce: 900,
+      cursorRadius: 90,
+      // Molecules drift at about driftSpeed; pushes decay back to it.
+      driftSpeed: 14,
+      maxSpeed: 120,
+      // How far from a click reactants are gathered.
+      reactRadius: 140,
+      // Bond length in px; large molecules are drawn smaller to fit the card.
+      bondLength: 14,
+      maxFps: 30,
+    };
+
+    readFxConfig(card, config, {
+      minCount: { min: 1, max: 40, int: true },
+      maxCount: { min: 1, max: 60, int: true },
+      pixelsPerMolecule: { min: 1500, max: 40000 },
+      cursorForce: { min: -5000, max: 5000 },
+      cursorRadius: { min: 20, max: 300 },
+      driftSpeed: { min: 0, max: 60 },
+      maxSpeed: { min: 10, max: 400 },
+      reactRadius: { min: 20, max: 600 },
+      bondLength: { min: 6, max: 30 },
+      maxFps: { min: 5, max: 60 },
+    });
+    config.maxCount = Math.max(config.minCount, config.maxCount);
+
+    const fx = scheduler.loop('molecules', {
+      maxFps: config.maxFps,
+      frame: step,
+      onQuality: () => {
+        // Keep the molecules already on screen; only add or drop the tail.
+        const n = desiredCount();
+        molecules.length = Math.min(molecules.length, n);
+        while (templates.length && molecules.length < n) molecules.push(makeMolecule());
+      },
+    });
+
+    // Scheduler quality thins the crowd below minCount when frames run long.
+    function desiredCount() {
+      const byArea = Math.max(1, Math.round((width * height) / config.pixelsPerMolecule));
+      const count = Math.max(config.minCount, Math.min(config.maxCount, byArea));
+      return Math.max(1, Math.round(count * scheduler.quality));
+    }
+
+    function resize() {
+      const rect = env.measure(card);
+      width = Math.max(1, rect.width);
+      height = Math.max(1, rect.height);
+
+      dpr = Math.min(2, env.pixelRatio());
+      canvas.width = Math.floor(width * dpr);
+      canvas.height = Math.floor(height * dpr);
+      canvas.style.width = width + 'px';
+      canvas.style.height = height + 'px';
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+
+    function rand(min, max) {
+      return min + env.random() * (max - min);
+    }
+
+    function elementColor(el) {
+      switch (el) {
+        case 'C':
+          return bodyRgb; // black/dark
+        case 'O':
+          return dangerRgb; // red
+        case 'N':
+          return primaryRgb; // blue
+        case 'S':
+          return warningRgb; // yellow
+        case 'Cl':
+          return successRgb; // green
+        case 'H':
+          return pageBgRgb; // white-ish, dark in the dark theme
+        default:
+          return CPK_RGB[el] || CPK_OTHER_RGB;
+      }
+    }
+
+    function elementRadius(el) {
+      // Make circles 1.5x bigger (overall scale factor).
+      // Keep H slightly smaller than heavy atoms.
+      const scale = 1.5;
+      const base = el === 'H' ? 1.8 : 2.3;
+      return base * scale;
+    }
+
+    // Filled from the molecule file; see loadTemplates().
+    let templates = [];
+    let templateByName = new Map();
+
+    // Balanced reactions between templates; clicking next to the reactants
+    // swaps them for the products. Only those whose molecules are all in the
+    // molecule file take part.
+    const allReactions = [
+      { reactants: ['H2', 'H2', 'O2'], products: ['H2O', 'H2O'] },
+      { reactants: ['H2', 'Cl2'], products: ['HCl', 'HCl'] },
+      { reactants: ['N2', 'H2', 'H2', 'H2'], products: ['NH3', 'NH3'] },
+      { reactants: ['CH4', 'O2', 'O2'], products: ['CO2', 'H2O', 'H2O'] },
+    ];
+    let reactions = [];
+
+    const templateSource = card.dataset.fxTemplates
+      ? new URL(card.dataset.fxTemplates, document.baseURI).href
+      : DEFAULT_MOLECULE_FILE;
+    let disposed = false;
+
+    function setTemplates(list) {
+      templates = list;
+      templateByName = new Map(list.map((t) => [t.name, t]));
+      reactions = allReactions.filter((r) => r.reactants.concat(r.products).every((name) => templateByName.has(name)));
+    }
+
+    // Starts downloading as soon as the card is attached, so the file is
+    // usually there by the first hover.
+    loadMoleculeFile(templateSource).then(
+      (list) => {
+        if (disposed) return;
+        if (!list.length) console.warn('card-effects: no molecules in', templateSource);
+        setTemplates(list);
+        if (running) {
+          rebuild();
+          fx.start();
+        }
+      },
+      (err) => console.warn('card-effects: could not load molecules from', templateSource, err)
+    );
+
+    const SUBSCRIPTS = '₀₁₂₃₄₅₆₇₈₉';
+
+    // 'C2H6' -> 'C₂H₆'
+    function formula(name) {
+      return name.replace(/\d/g, (d) => SUBSCRIPTS[Number(d)]);
+    }
+
+    // ['H2', 'H2', 'O2'] -> '2H₂ + O₂'
+    function side(names) {
+      const counts = new Map();
+      for (const name of names) counts.set(name, (counts.get(name) || 0) + 1);
+      return Array.from(counts, ([name, n]) => (n > 1 ? n : '') + formula(name)).join(' + ');
+    }
+
+    function makeMolecule(tmpl, x, y) {
+      tmpl = tmpl || templates[(env.random() * templates.length) | 0];
+      // Template coordinates are in bond lengths.
+      const scale = Math.min(config.bondLength, (Math.min(width, height) * 0.2) / (tmpl.extent || 1));
+      const atoms = tmpl.atoms.map((a) => ({
+        el: a.el,
+        x: a.x * scale,
+        y: a.y * scale,
+        r: elementRadius(a.el),
+        c: elementColor(a.el),
+      }));
+      const bonds = tmpl.bonds;
+
+      return {
+        name: tmpl.name,
+        x: x === undefined ? rand(0, width) : x,
+        y: y === undefined ? rand(0, height) : y,
+        vx: rand(-12, 12),
+        vy: rand(-12, 12),
+        rot: rand(0, Math.PI * 2),
+        vrot: rand(-0.35, 0.35),
+        // Bounding circle for the broad phase; mass in "heavy atoms".
+        radius: atoms.reduce((r, a) => Math.max(r, Math.hypot(a.x, a.y) + a.r), 0),
+        mass: atoms.reduce((sum, a) => sum + (a.r * a.r) / (elementRadius('C') * elementRadius('C')), 0),
+        atoms,
+        bonds,
+        world: atoms.map(() => [0, 0]),
+      };
+    }
+
+    function rebuild() {
+      molecules = [];
+      if (!templates.length) return;
+      const n = desiredCount();
+      for (let i = 0; i < n; i++) molecules.push(makeMolecule());
+    }
+
+    function drawBond(a, b, order) {
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const len = Math.sqrt(dx * dx + dy * dy) || 1;
+      const nx = -dy / len;
+      const ny = dx / len;
+      const sep = 2.2;
+
+      const lines = order === 3 ? [-sep, 0, sep] : order >= 1.5 ? [-sep * 0.75, sep * 0.75] : [0];
+      for (let i = 0; i < lines.length; i++) {
+        const o = lines[i];
+        // Aromatic: one solid line and one dashed.
+        ctx.setLineDash(order === 1.5 && i === 1 ? [2, 2] : []);
+        ctx.beginPath();
+        ctx.moveTo(a.x + nx * o, a.y + ny * o);
+        ctx.lineTo(b.x + nx * o, b.y + ny * o);
+        ctx.stroke();
+      }
+      ctx.setLineDash([]);
+    }
+
+    function drawMolecule(m) {
+      ctx.save();
+      ctx.translate(m.x, m.y);
+      ctx.rotate(m.rot);
+
+      // Bonds
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = rgba(bodyRgb, 0.22);
+      for (let i = 0; i < m.bonds.length; i++) {
+        const [aIdx, bIdx, order] = m.bonds[i];
+        const a = m.atoms[aIdx];
+        const b = m.atoms[bIdx];
+        drawBond(a, b, order || 1);
+      }
+
+      // Atoms
+      for (let i = 0; i < m.atoms.length; i++) {
+        const atom = m.atoms[i];
+        const fillAlpha = atom.el === 'H' ? 0.9 : 0.65;
+        ctx.fillStyle = rgba(atom.c, fillAlpha);
+        ctx.beginPath();
+        ctx.arc(atom.x, atom.y, atom.r, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Hydrogen needs an outline to be visible on white backgrounds.
+        if (atom.el === 'H') {
+          ctx.strokeStyle = rgba(bodyRgb, 0.22);
+          ctx.lineWidth = 1;
+          ctx.stroke();
+        }
+      }
+
+      ctx.restore();
+    }
+
+    function applyCursor(m, dt) {
+      const dx = m.x - cursorX;
+      const dy = m.y - cursorY;
+      const dist = Math.hypot(dx, dy) || 1;
+      if (dist >= config.cursorRadius) return;
+      const accel = (config.cursorForce * (1 - dist / config.cursorRadius)) / m.mass;
+      m.vx += (dx / dist) * accel * dt;
+      m.vy += (dy / dist) * accel * dt;
+    }
+
+    function limitSpeed(m, dt) {
+      const speed = Math.hypot(m.vx, m.vy);
+      if (speed <= config.driftSpeed) return;
+      // Ease back toward drift speed; never faster than maxSpeed.
+      const target = Math.max(config.driftSpeed, speed * Math.exp(-1.5 * dt));
+      const k = Math.min(target, config.maxSpeed) / speed;
+      m.vx *= k;
+      m.vy *= k;
+    }
+
+    function updateWorld(m) {
+      const cos = Math.cos(m.rot);
+      const sin = Math.sin(m.rot);
+      for (let i = 0; i < m.atoms.length; i++) {
+        const a = m.atoms[i];
+        m.world[i][0] = m.x + a.x * cos - a.y * sin;
+        m.world[i][1] = m.y + a.x * sin + a.y * cos;
+      }
+    }
+
+    // Deepest overlapping atom pair between two molecules, or null.
+    function contact(p, q) {
+      let best = null;
+      for (let i = 0; i < p.atoms.length; i++) {
+        for (let j = 0; j < q.atoms.length; j++) {
+          const dx = p.world[i][0] - q.world[j][0];
+          const dy = p.world[i][1] - q.world[j][1];
+          const dist = Math.hypot(dx, dy);
+          const overlap = p.atoms[i].r + q.atoms[j].r - dist;
+          if (overlap > 0 && (!best || overlap > best.overlap)) {
+            best = { overlap, nx: dist ? dx / dist : 1, ny: dist ? dy / dist : 0 };
+          }
+        }
+      }
+      return best;
+    }
+
+    // Elastic collisions between atoms of different molecules (linear
+    // momentum only; spin is left alone).
+    function collide() {
+      for (let i = 0; i < molecules.length; i++) {
+        const p = molecules[i];
+        for (let j = i + 1; j < molecules.length; j++) {
+          const q = molecules[j];
+          if (Math.hypot(p.x - q.x, p.y - q.y) >= p.radius + q.radius) continue;
+          const hit = contact(p, q);
+          if (!hit) continue;
+
+          // Push apart in proportion to the other molecule's mass.
+          const total = p.mass + q.mass;
+          p.x += hit.nx * hit.overlap * (q.mass / total);
+          p.y += hit.ny * hit.overlap * (q.mass / total);
+          q.x -= hit.nx * hit.overlap * (p.mass / total);
+          q.y -= hit.ny * hit.overlap * (p.mass / total);
+
+          const vn = (p.vx - q.vx) * hit.nx + (p.vy - q.vy) * hit.ny;
+          if (vn >= 0) continue; // already separating
+          const impulse = (-2 * vn) / (1 / p.mass + 1 / q.mass);
+          p.vx += (impulse / p.mass) * hit.nx;
+          p.vy += (impulse / p.mass) * hit.ny;
+          q.vx -= (impulse / q.mass) * hit.nx;
+          q.vy -= (impulse / q.mass) * hit.ny;
+          updateWorld(p);
+          updateWorld(q);
+        }
+      }
+    }
+
+    function nearestMolecule(x, y, maxDist) {
+      let best = null;
+      let bestDist = maxDist;
+      for (const m of molecules) {
+        const d = Math.hypot(m.x - x, m.y - y) - m.radius;
+        if (d < bestDist) {
+          bestDist = d;
+          best = m;
+        }
+      }
+      return best;
+    }
+
+    function drawPill(text, x, y, alpha) {
+      ctx.font = labelFont;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      const w = ctx.measureText(text).width + 10;
+      // Keep the label on the card.
+      const cx = Math.max(w / 2 + 2, Math.min(width - w / 2 - 2, x));
+      const cy = Math.max(10, Math.min(height - 10, y));
+      ctx.fillStyle = rgba(pageBgRgb, 0.85 * alpha);
+      ctx.fillRect(cx - w / 2, cy - 8, w, 16);
+      ctx.fillStyle = rgba(bodyRgb, 0.8 * alpha);
+      ctx.fillText(text, cx, cy + 0.5);
+    }
+
+    function step(ts, dt) {
+      ctx.clearRect(0, 0, width, height);
+
+      for (let i = 0; i < molecules.length; i++) {
+        const m = molecules[i];
+        if (hasCursor && config.cursorForce) applyCursor(m, dt);
+        limitSpeed(m, dt);
+        m.x += m.vx * dt;
+        m.y += m.vy * dt;
+        m.rot += m.vrot * dt;
+
+        // Wrap around the edges.
+        if (m.x < -24) m.x = width + 24;
+        else if (m.x > width + 24) m.x = -24;
+
+        if (m.y < -24) m.y = height + 24;
+        else if (m.y > height + 24) m.y = -24;
+
+        updateWorld(m);
+      }
+
+      collide();
+      for (let i = 0; i < molecules.length; i++) drawMolecule(molecules[i]);
+
+      // Formula label on the molecule nearest the cursor.
+      const near = hasCursor ? nearestMolecule(cursorX, cursorY, 28) : null;
+      if (near) drawPill(formula(near.name), near.x, near.y - near.radius - 10, 1);
+
+      if (flash) {
+        const left = flash.until - env.now();
+        if (left > 0) drawPill(flash.text, flash.x, flash.y, Math.min(1, left / 400));
+        else flash = null;
+      }
+    }
+
+    // Gather the reactants closest to the click for each reaction and run
+    // the one whose reactants sit closest together.
+    function react(x, y) {
+      const nearby = molecules
+        .map((m) => ({ m, d: Math.hypot(m.x - x, m.y - y) }))
+        .filter((e) => e.d <= config.reactRadius)
+        .sort((p, q) => p.d - q.d);
+
+      let best = null;
+      for (const reaction of reactions) {
+        const taken = new Set();
+        let cost = 0;
+        for (const name of reaction.reactants) {
+          const hit = nearby.find((e) => e.m.name === name && !taken.has(e.m));
+          if (!hit) {
+            cost = Infinity;
+            break;
+          }
+          taken.add(hit.m);
+          cost += hit.d;
+        }
+        if (cost < Infinity && (!best || cost < best.cost)) best = { reaction, taken, cost };
+      }
+
+      if (!best) {
+        flash = { text: I18n.t('No reaction here'), x, y, until: env.now() + 900 };
+        return;
+      }
+
+      // Products appear where the reactants were, sharing their momentum.
+      let px = 0;
+      let py = 0;
+      let mvx = 0;
+      let mvy = 0;
+      let mass = 0;
+      for (const m of best.taken) {
+        px += m.x;
+        py += m.y;
+        mvx += m.vx * m.mass;
+        mvy += m.vy * m.mass;
+        mass += m.mass;
+      }
+      px /= best.taken.size;
+      py /= best.taken.size;
+      molecules = molecules.filter((m) => !best.taken.has(m));
+
+      const products = best.reaction.products;
+      products.forEach((name, i) => {
+        const angle = (i / products.length) * Math.PI * 2 + rand(0, 1);
+        const m = makeMolecule(templateByName.get(name), px + Math.cos(angle) * 14, py + Math.sin(angle) * 14);
+        m.vx = mvx / mass + Math.cos(angle) * 30;
+        m.vy = mvy / mass + Math.sin(angle) * 30;
+        molecules.push(m);
+      });
+
+      flash = {
+        text: `${side(best.reaction.reactants)} → ${side(products)}`,
+        x: px,
+        y: py - 28,
+        until: env.now() + 2200,
+      };
+    }
+
+    function clear() {
+      ctx.clearRect(0, 0, width, height);
+    }
+
+    function pause() {
+      fx.stop();
+    }
+
+    function resume() {
+      if (running && animationsAllowed()) fx.start();
+    }
+
+    function start() {
+      if (running) return;
+      scheduler.cancel(fx);
+      resize();
+      rebuild();
+      running = true;
+      fx.start();
+    }
+
+    function stop() {
+      running = false;
+      hasCursor = false;
+      flash = null;
+      fx.stop();
+
+      // Keep last frame for CSS fade-out.
+      scheduler.defer(fx, clear, FADE_MS);
+    }
+
+    const ro = new ResizeObserver(() => {
+      if (!running) return;
+      resize();
+      rebuild();
+    });
+    ro.observe(card);
+
+    function dispose() {
+      running = false;
+      disposed = true;
+      fx.stop();
+      scheduler.cancel(fx);
+      clear();
+      ro.disconnect();
+    }
+
+    // Atoms keep their colour, so repaint the ones already on screen too
+    // (hydrogen follows the page background).
+    function onThemeChange() {
+      readColors();
+      for (const m of molecules) {
+        for (const atom of m.atoms) atom.c = elementColor(atom.el);
+      }
+    }
+
+    function trackCursor(evt) {
+      const rect = env.measure(card);
+      cursorX = evt.clientX - rect.left;
+      cursorY = evt.clientY - rect.top;
+      hasCursor = true;
+    }
+
+    return {
+      onEnter: (evt) => {
+        trackCursor(evt);
+        start();
+      },
+      onMove: trackCursor,
+      onClick: (evt) => {
+        trackCursor(evt);
+        react(cursorX, cursorY);
+        // Reduced motion: repaint the still frame with the products.
+        fx.start();
+      },
+      onLeave: () => stop(),
+      onPause: pause,
+      onResume: resume,
+      onThemeChange,
+      dispose,
     };
   }
 
   // -------------------------
-  // Effect: vector-field (Physics)
+  // Effect: food-web (ESS)
   // -------------------------
 
-  function parseRgbTriplet(cssValue) {
-    // Expected format: "13, 110, 253" (Bootstrap vars)
-    const parts = String(cssValue)
-      .trim()
-      .split(',')
-      .map((p) => Number(p.trim()))
-      .filter((n) => Number.isFinite(n));
-    if (parts.length >= 3) return [parts[0], parts[1], parts[2]];
-    return [0, 0, 0];
-  }
-
-  function lerp(a, b, t) {
-    return a + (b - a) * t;
-  }
-
-  function clamp01(x) {
-    return Math.max(0, Math.min(1, x));
-  }
-
-  function createVectorFieldEffect(card) {
+  function createFoodWebEffect(card, env) {
     const canvas = card.querySelector('canvas.fx-canvas');
     if (!canvas) return {};
 
-    const ctx = canvas.getContext('2d', { alpha: true });
+    const ctx = env.context(canvas);
     if (!ctx) return {};
 
     const rootStyles = getComputedStyle(document.documentElement);
-    const primaryRgb = parseRgbTriplet(rootStyles.getPropertyValue('--bs-primary-rgb'));
-    const dangerRgb = parseRgbTriplet(rootStyles.getPropertyValue('--bs-danger-rgb'));
+    let bodyRgb;
+    let levelColors;
+
+    function readColors() {
+      bodyRgb = themeRgb('body-color');
+      // Trophic level -> colour: producers green, then up the chain.
+      levelColors = readPalette(card, [
+        themeRgb('success'),
+        themeRgb('warning'),
+        themeRgb('primary'),
+        themeRgb('danger'),
+      ]);
+    }
+    readColors();
 
     let running = false;
-    let rafId = 0;
-    let lastTs = 0;
     let cursorX = 0;
     let cursorY = 0;
     let hasCursor = false;
     let dpr = 1;
-    let clearTimer = null;
-
-    let points = [];
     let width = 0;
     let height = 0;
+    let nodes = [];
+    let particles = [];
 
     const config = {
-      // Density scales roughly with 1/spacing^2. Using ~12*sqrt(2) gives ~half.
-      spacing: 17,
-      segmentLength: 7,
-      lineWidth: 1,
+      particlesPerLink: 2,
+      // Energy particles travel along links in px/second.
+      particleSpeed: 38,
+      nodeRadius: 4.5,
+      focusRadius: 36,
       alpha: 0.55,
       maxFps: 40,
     };
 
+    readFxConfig(card, config, {
+      particlesPerLink: { min: 0, max: 6, int: true },
+      particleSpeed: { min: 5, max: 200 },
+      nodeRadius: { min: 2, max: 10 },
+      alpha: { min: 0.05, max: 1 },
+      maxFps: { min: 5, max: 60 },
+    });
+
+    const fx = scheduler.loop('food-web', {
+      maxFps: config.maxFps,
+      frame: step,
+      onQuality: spawnParticles,
+    });
+
+    // A small temperate food web. Links point prey -> predator (energy flow).
+    const species = [
+      { name: 'Grass', level: 0 },
+      { name: 'Shrub', level: 0 },
+      { name: 'Algae', level: 0 },
+      { name: 'Rabbit', level: 1 },
+      { name: 'Insect', level: 1 },
+      { name: 'Snail', level: 1 },
+      { name: 'Frog', level: 2 },
+      { name: 'Shrew', level: 2 },
+      { name: 'Thrush', level: 2 },
+      { name: 'Fox', level: 3 },
+      { name: 'Hawk', level: 3 },
+    ];
+
+    const links = [
+      [0, 3],
+      [0, 4],
+      [1, 3],
+      [1, 5],
+      [2, 5],
+      [4, 6],
+      [4, 7],
+      [4, 8],
+      [5, 7],
+      [5, 8],
+      [3, 9],
+      [7, 9],
+      [6, 10],
+      [7, 10],
+      [8, 10],
+    ];
+
     function resize() {
-      const rect = card.getBoundingClientRect();
+      const rect = env.measure(card);
       width = Math.max(1, rect.width);
       height = Math.max(1, rect.height);
 
-      dpr = Math.min(2, window.devicePixelRatio || 1);
+      dpr = Math.min(2, env.pixelRatio());
       canvas.width = Math.floor(width * dpr);
       canvas.height = Math.floor(height * dpr);
       canvas.style.width = width + 'px';
       canvas.style.height = height + 'px';
-
       ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
 
-      // Rebuild points grid.
-      points = [];
-      const pad = config.spacing * 0.5;
-      for (let y = pad; y < height - pad; y += config.spacing) {
-        for (let x = pad; x < width - pad; x += config.spacing) {
-          // small jitter so it doesn't feel too perfect
-          const jx = (hash2(x, y) - 0.5) * 3;
-          const jy = (hash2(y, x) - 0.5) * 3;
-          const px = x + jx;
-          const py = y + jy;
-          points.push([px, py]);
-        }
-      }
+      layout();
     }
 
-    // Fast deterministic hash -> [0..1)
-    function hash2(x, y) {
-      const s = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453;
-      return s - Math.floor(s);
-    }
+    function layout() {
+      // Producers along the bottom, top predators along the top.
+      const maxLevel = species.reduce((m, s) => Math.max(m, s.level), 0);
+      const byLevel = [];
+      for (const s of species) (byLevel[s.level] = byLevel[s.level] || []).push(s);
+
+      nodes = species.map((s) => {
+        const row = byLevel[s.level];
+        const i = row.indexOf(s);
+        // Offset alternate rows slightly so links don't overlap vertically.
+        const shift = s.level % 2 ? 0.35 : 0;
+        return {
+          name: s.name,
+          level: s.level,
+          baseX: width * ((i + 0.75 + shift) / (row.length + 0.5 + shift)),
+          baseY: lerp(height * 0.84, height * 0.16, maxLevel ? s.level / maxLevel : 0),
+          phase: env.random() * Math.PI * 2,
+          x: 0,
+          y: 0,
+        };
+      });
 
-    // Smooth-ish pseudo-noise (cheap)
-    function noise(x, y, t) {
-      const a = Math.sin(x * 0.015 + t * 0.9);
-      const b = Math.cos(y * 0.015 - t * 0.7);
-      const c = Math.sin((x + y) * 0.01 + t * 0.35);
-      return (a * b + 0.55 * c);
+      spawnParticles();
     }
 
-    function colorForDistance(dist, maxDist) {
-      // Color depends on distance: near pointer -> danger, far -> primary.
-      const t = clamp01(1 - dist / maxDist);
-      const r = Math.round(lerp(primaryRgb[0], dangerRgb[0], t));
-      const g = Math.round(lerp(primaryRgb[1], dangerRgb[1], t));
-      const b = Math.round(lerp(primaryRgb[2], dangerRgb[2], t));
-      return `rgba(${r}, ${g}, ${b}, ${config.alpha})`;
+    // Fewer energy particles per link at lower scheduler quality.
+    function spawnParticles() {
+      const perLink = Math.round(config.particlesPerLink * scheduler.quality);
+      particles = [];
+      for (let l = 0; l < links.length; l++) {
+        for (let k = 0; k < perLink; k++) {
+          particles.push({ link: l, t: (k + env.random() * 0.5) / perLink });
+        }
+      }
     }
 
-    function step(ts) {
-      if (!running) return;
-
-      const minFrameMs = 1000 / config.maxFps;
-      if (ts - lastTs < minFrameMs) {
-        rafId = requestAnimationFrame(step);
-        return;
+    function nearestNode() {
+      if (!hasCursor) return -1;
+      let best = -1;
+      let bestDist = config.focusRadius;
+      for (let i = 0; i < nodes.length; i++) {
+        const d = Math.hypot(nodes[i].x - cursorX, nodes[i].y - cursorY);
+        if (d < bestDist) {
+          bestDist = d;
+          best = i;
+        }
       }
-      lastTs = ts;
+      return best;
+    }
 
+    function step(ts, dt) {
       ctx.clearRect(0, 0, width, height);
 
-      // If cursor hasn't moved yet, keep it near center.
-      const cx = hasCursor ? cursorX : width * 0.5;
-      const cy = hasCursor ? cursorY : height * 0.45;
-
-      // "Matplotlib-ish" look: thin, lots of tiny line segments.
-      ctx.lineWidth = config.lineWidth;
-      ctx.lineCap = 'round';
-      // No glow; keep it crisp/"matplotlib".
-      ctx.shadowBlur = 0;
-
       const t = ts * 0.001;
-      const maxDist = Math.max(140, Math.min(width, height) * 0.75);
+      for (const n of nodes) {
+        // Gentle bobbing so the web feels alive.
+        n.x = n.baseX + Math.sin(t * 0.8 + n.phase) * 3;
+        n.y = n.baseY + Math.cos(t * 0.6 + n.phase) * 2;
+      }
 
-      for (let i = 0; i < points.length; i++) {
-        const px = points[i][0];
-        const py = points[i][1];
+      const focus = nearestNode();
 
-        // Magnet field: point toward cursor.
-        const dx = cx - px;
-        const dy = cy - py;
-        const dist = Math.sqrt(dx * dx + dy * dy) + 0.0001;
-        const ux = dx / dist;
-        const uy = dy / dist;
+      // Links
+      ctx.lineWidth = 1;
+      for (let l = 0; l < links.length; l++) {
+        const [from, to] = links[l];
+        const a = nodes[from];
+        const b = nodes[to];
+        const active = focus === from || focus === to;
+        ctx.strokeStyle = rgba(bodyRgb, active ? 0.4 : focus >= 0 ? 0.08 : 0.16);
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+      }
 
-        // Distance-based strength (closer -> stronger/longer).
-        const influence = clamp01(1 - dist / maxDist);
+      // Energy particles flowing prey -> predator.
+      for (const p of particles) {
+        const [from, to] = links[p.link];
+        const a = nodes[from];
+        const b = nodes[to];
+        const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+        p.t += (config.particleSpeed * dt) / len;
+        if (p.t > 1) p.t -= 1;
+
+        const active = focus < 0 || focus === from || focus === to;
+        const fade = Math.sin(Math.PI * p.t);
+        ctx.fillStyle = rgba(levelColors[a.level] || bodyRgb, config.alpha * fade * (active ? 1 : 0.3));
+        ctx.beginPath();
+        ctx.arc(lerp(a.x, b.x, p.t), lerp(a.y, b.y, p.t), 1.6, 0, Math.PI * 2);
+        ctx.fill();
+      }
 
-        // Small noise so it isn't perfectly uniform.
-        const n = noise(px, py, t);
-        const jitter = (0.22 + 0.12 * (1 - influence)) * n;
-        const angle = Math.atan2(uy, ux) + jitter;
-        const vx = Math.cos(angle);
-        const vy = Math.sin(angle);
+      // Nodes + labels
+      ctx.font = '600 10px ' + (rootStyles.getPropertyValue('--bs-font-sans-serif') || 'sans-serif');
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      for (let i = 0; i < nodes.length; i++) {
+        const n = nodes[i];
+        const rgb = levelColors[n.level] || bodyRgb;
+        const isFocus = i === focus;
+        const r = config.nodeRadius * (isFocus ? 1.5 : 1);
+
+        ctx.fillStyle = rgba(rgb, isFocus ? 0.95 : 0.7);
+        ctx.beginPath();
+        ctx.arc(n.x, n.y, r, 0, Math.PI * 2);
+        ctx.fill();
 
-        const len = config.segmentLength * (0.65 + 1.0 * influence);
+        ctx.fillStyle = rgba(bodyRgb, isFocus ? 0.75 : 0.3);
+        ctx.fillText(n.name, n.x, n.y + r + 2);
+      }
+    }
 
-        ctx.strokeStyle = colorForDistance(dist, maxDist);
+    function clear() {
+      ctx.clearRect(0, 0, width, height);
+    }
 
-        ctx.beginPath();
-        ctx.moveTo(px, py);
-        ctx.lineTo(px + vx * len, py + vy * len);
-        ctx.stroke();
-      }
+    function pause() {
+      fx.stop();
+    }
 
-      rafId = requestAnimationFrame(step);
+    function resume() {
+      if (running && animationsAllowed()) fx.start();
     }
 
     function start() {
       if (running) return;
-
-      if (clearTimer) {
-        clearTimeout(clearTimer);
-        clearTimer = null;
-      }
-
+      scheduler.cancel(fx);
       resize();
       running = true;
-      lastTs = 0;
-      rafId = requestAnimationFrame(step);
+      fx.start();
     }
 
     function stop() {
       running = false;
       hasCursor = false;
-      if (rafId) cancelAnimationFrame(rafId);
-      rafId = 0;
+      fx.stop();
 
-      // Keep the last frame so CSS opacity can fade it out.
-      if (clearTimer) clearTimeout(clearTimer);
-      clearTimer = setTimeout(() => {
-        ctx.clearRect(0, 0, width, height);
-        clearTimer = null;
-      }, 260);
+      // Keep last frame for CSS fade-out.
+      scheduler.defer(fx, clear, FADE_MS);
     }
 
-    // Keep canvas sized correctly while hovered.
     const ro = new ResizeObserver(() => {
       if (!running) return;
       resize();
     });
     ro.observe(card);
 
+    function dispose() {
+      running = false;
+      fx.stop();
+      scheduler.cancel(fx);
+      clear();
+      ro.disconnect();
+    }
+
+    function trackCursor(evt) {
+      const rect = env.measure(card);
+      cursorX = evt.clientX - rect.left;
+      cursorY = evt.clientY - rect.top;
+      hasCursor = true;
+    }
+
     return {
       onEnter: (evt) => {
-        const rect = card.getBoundingClientRect();
-        cursorX = evt.clientX - rect.left;
-        cursorY = evt.clientY - rect.top;
-        hasCursor = true;
+        trackCursor(evt);
         start();
       },
-      onMove: (evt) => {
-        const rect = card.getBoundingClientRect();
-        cursorX = evt.clientX - rect.left;
-        cursorY = evt.clientY - rect.top;
-        hasCursor = true;
-      },
+      onMove: trackCursor,
       onLeave: () => stop(),
+      onPause: pause,
+      onResume: resume,
+      onThemeChange: readColors,
+      dispose,
     };
   }
 
   // -------------------------
-  // Effect: molecules (Chemistry)
+  // Effect: regression (Math AI)
   // -------------------------
 
-  function createMoleculesEffect(card) {
+  function createRegressionEffect(card, env) {
     const canvas = card.querySelector('canvas.fx-canvas');
     if (!canvas) return {};
 
-    const ctx = canvas.getContext('2d', { alpha: true });
+    const ctx = env.context(canvas);
     if (!ctx) return {};
 
-    function parseCssColorToRgb(color) {
-      // Handles 'rgb(r,g,b)' and 'rgba(r,g,b,a)'
-      const m = String(color)
-        .trim()
-        .match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
-      if (!m) return null;
-      return [Number(m[1]), Number(m[2]), Number(m[3])];
-    }
-
     const rootStyles = getComputedStyle(document.documentElement);
-    const primaryRgb = parseRgbTriplet(rootStyles.getPropertyValue('--bs-primary-rgb'));
-    const dangerRgb = parseRgbTriplet(rootStyles.getPropertyValue('--bs-danger-rgb'));
-    const warningRgb = parseRgbTriplet(rootStyles.getPropertyValue('--bs-warning-rgb'));
-    const successRgb = parseRgbTriplet(rootStyles.getPropertyValue('--bs-success-rgb'));
-    const bodyRgb = parseRgbTriplet(rootStyles.getPropertyValue('--bs-body-color-rgb'));
-    const pageBgRgb = parseCssColorToRgb(getComputedStyle(document.body).backgroundColor) || [255, 255, 255];
+    let bodyRgb;
+    let pointRgb;
+    let lineRgb;
+
+    function readColors() {
+      bodyRgb = themeRgb('body-color');
+      // Data points, fitted line.
+      [pointRgb, lineRgb] = readPalette(card, [themeRgb('primary'), themeRgb('danger')]);
+    }
+    readColors();
 
     let running = false;
-    let rafId = 0;
-    let lastTs = 0;
+    let cursorX = 0;
+    let cursorY = 0;
+    let hasCursor = false;
     let dpr = 1;
-    let clearTimer = null;
     let width = 0;
     let height = 0;
-    let molecules = [];
+
+    // Data lives in unit space (0..1, y up) so it survives resizes.
+    let points = [];
+    // Displayed fit eases toward the least-squares target.
+    let slope = 0;
+    let intercept = 0.5;
 
     const config = {
-      // Target density; actual count scales with card area.
-      minCount: 8,
-      maxCount: 14,
-      pixelsPerMolecule: 6500,
-      maxFps: 30,
+      pointCount: 22,
+      noise: 0.1,
+      // The cursor counts as this many data points in the fit.
+      cursorWeight: 6,
+      // Higher -> line snaps to the new fit faster.
+      easing: 5,
+      pointRadius: 2.4,
+      maxFps: 40,
     };
 
-    function desiredCount() {
-      const byArea = Math.max(1, Math.round((width * height) / config.pixelsPerMolecule));
-      return Math.max(config.minCount, Math.min(config.maxCount, byArea));
-    }
+    readFxConfig(card, config, {
+      pointCount: { min: 4, max: 80, int: true },
+      noise: { min: 0, max: 0.4 },
+      cursorWeight: { min: 0, max: 50 },
+      easing: { min: 0.5, max: 30 },
+      pointRadius: { min: 1, max: 6 },
+      maxFps: { min: 5, max: 60 },
+    });
 
-    function rgba(rgb, a) {
-      return `rgba(${rgb[0]}, ${rgb[1]}, ${rgb[2]}, ${a})`;
-    }
+    const fx = scheduler.loop('regression', { maxFps: config.maxFps, frame: step });
 
     function resize() {
-      const rect = card.getBoundingClientRect();
+      const rect = env.measure(card);
       width = Math.max(1, rect.width);
       height = Math.max(1, rect.height);
 
-      dpr = Math.min(2, window.devicePixelRatio || 1);
+      dpr = Math.min(2, env.pixelRatio());
       canvas.width = Math.floor(width * dpr);
       canvas.height = Math.floor(height * dpr);
       canvas.style.width = width + 'px';
@@ -441,312 +2788,188 @@
       ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
     }
 
-    function rand(min, max) {
-      return min + Math.random() * (max - min);
+    function gaussian() {
+      // Box-Muller; good enough for scatter noise.
+      const u = 1 - env.random();
+      const v = env.random();
+      return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
     }
 
-    function elementColor(el) {
-      switch (el) {
-        case 'C':
-          return bodyRgb; // black/dark
-        case 'O':
-          return dangerRgb; // red
-        case 'N':
-          return primaryRgb; // blue
-        case 'S':
-          return warningRgb; // yellow
-        case 'Cl':
-          return successRgb; // green
-        case 'H':
-          return pageBgRgb; // white-ish, depends on page
-        default:
-          return bodyRgb;
+    function rebuild() {
+      const m = 0.3 + env.random() * 0.5;
+      const c = 0.5 - m * 0.5;
+      points = [];
+      for (let i = 0; i < config.pointCount; i++) {
+        const x = 0.06 + env.random() * 0.88;
+        points.push({
+          x,
+          y: m * x + c + gaussian() * config.noise,
+          phase: env.random() * Math.PI * 2,
+        });
       }
+      const fit = leastSquares(false);
+      slope = fit.slope;
+      intercept = fit.intercept;
     }
 
-    function elementRadius(el) {
-      // Make circles 1.5x bigger (overall scale factor).
-      // Keep H slightly smaller than heavy atoms.
-      const scale = 1.5;
-      const base = el === 'H' ? 1.8 : 2.3;
-      return base * scale;
-    }
-
-    const templates = [
-      // Coordinates are in a small local coordinate space around (0,0).
-      // Bonds: [aIdx, bIdx, order]
-      {
-        name: 'O2',
-        atoms: [
-          { el: 'O', x: -8, y: 0 },
-          { el: 'O', x: 8, y: 0 },
-        ],
-        bonds: [[0, 1, 2]],
-      },
-      {
-        name: 'N2',
-        atoms: [
-          { el: 'N', x: -8, y: 0 },
-          { el: 'N', x: 8, y: 0 },
-        ],
-        bonds: [[0, 1, 3]],
-      },
-      {
-        name: 'H2',
-        atoms: [
-          { el: 'H', x: -7, y: 0 },
-          { el: 'H', x: 7, y: 0 },
-        ],
-        bonds: [[0, 1, 1]],
-      },
-      {
-        name: 'H2O',
-        atoms: [
-          { el: 'O', x: 0, y: 0 },
-          { el: 'H', x: -10, y: 7 },
-          { el: 'H', x: 10, y: 7 },
-        ],
-        bonds: [
-          [0, 1, 1],
-          [0, 2, 1],
-        ],
-      },
-      {
-        name: 'CO2',
-        atoms: [
-          { el: 'O', x: -14, y: 0 },
-          { el: 'C', x: 0, y: 0 },
-          { el: 'O', x: 14, y: 0 },
-        ],
-        bonds: [
-          [0, 1, 2],
-          [1, 2, 2],
-        ],
-      },
-      {
-        name: 'CH4',
-        atoms: [
-          { el: 'C', x: 0, y: 0 },
-          { el: 'H', x: 0, y: -14 },
-          { el: 'H', x: 12, y: 6 },
-          { el: 'H', x: -12, y: 6 },
-          { el: 'H', x: 0, y: 14 },
-        ],
-        bonds: [
-          [0, 1, 1],
-          [0, 2, 1],
-          [0, 3, 1],
-          [0, 4, 1],
-        ],
-      },
-      {
-        name: 'NH3',
-        atoms: [
-          { el: 'N', x: 0, y: -2 },
-          { el: 'H', x: -11, y: 9 },
-          { el: 'H', x: 11, y: 9 },
-          { el: 'H', x: 0, y: 15 },
-        ],
-        bonds: [
-          [0, 1, 1],
-          [0, 2, 1],
-          [0, 3, 1],
-        ],
-      },
-      {
-        name: 'SO2',
-        atoms: [
-          { el: 'S', x: 0, y: 0 },
-          { el: 'O', x: -13, y: 6 },
-          { el: 'O', x: 13, y: 6 },
-        ],
-        bonds: [
-          [0, 1, 2],
-          [0, 2, 2],
-        ],
-      },
-      {
-        name: 'HCl',
-        atoms: [
-          { el: 'H', x: -8, y: 0 },
-          { el: 'Cl', x: 10, y: 0 },
-        ],
-        bonds: [[0, 1, 1]],
-      },
-      {
-        name: 'C2H6',
-        atoms: [
-          { el: 'C', x: -9, y: 0 },
-          { el: 'C', x: 9, y: 0 },
-          { el: 'H', x: -18, y: -10 },
-          { el: 'H', x: -18, y: 10 },
-          { el: 'H', x: -9, y: -15 },
-          { el: 'H', x: 18, y: -10 },
-          { el: 'H', x: 18, y: 10 },
-          { el: 'H', x: 9, y: -15 },
-        ],
-        bonds: [
-          [0, 1, 1],
-          [0, 2, 1],
-          [0, 3, 1],
-          [0, 4, 1],
-          [1, 5, 1],
-          [1, 6, 1],
-          [1, 7, 1],
-        ],
-      },
-    ];
-
-    function makeMolecule() {
-      const tmpl = templates[(Math.random() * templates.length) | 0];
-      const atoms = tmpl.atoms.map((a) => ({
-        el: a.el,
-        x: a.x,
-        y: a.y,
-        r: elementRadius(a.el),
-        c: elementColor(a.el),
-      }));
-      const bonds = tmpl.bonds;
+    function leastSquares(withCursor) {
+      let sw = 0;
+      let sx = 0;
+      let sy = 0;
+      function add(x, y, w) {
+        sw += w;
+        sx += w * x;
+        sy += w * y;
+      }
+      for (const p of points) add(p.x, p.y, 1);
+      const ux = cursorX / width;
+      const uy = 1 - cursorY / height;
+      if (withCursor) add(ux, uy, config.cursorWeight);
+
+      const mx = sx / sw;
+      const my = sy / sw;
+      let sxx = 0;
+      let syy = 0;
+      let sxy = 0;
+      function accumulate(x, y, w) {
+        sxx += w * (x - mx) * (x - mx);
+        syy += w * (y - my) * (y - my);
+        sxy += w * (x - mx) * (y - my);
+      }
+      for (const p of points) accumulate(p.x, p.y, 1);
+      if (withCursor) accumulate(ux, uy, config.cursorWeight);
 
-      return {
-        x: rand(0, width),
-        y: rand(0, height),
-        vx: rand(-12, 12),
-        vy: rand(-12, 12),
-        rot: rand(0, Math.PI * 2),
-        vrot: rand(-0.35, 0.35),
-        atoms,
-        bonds,
-      };
+      const m = sxx ? sxy / sxx : 0;
+      const r = sxx && syy ? sxy / Math.sqrt(sxx * syy) : 0;
+      return { slope: m, intercept: my - m * mx, r };
     }
 
-    function rebuild() {
-      molecules = [];
-      const n = desiredCount();
-      for (let i = 0; i < n; i++) molecules.push(makeMolecule());
+    function toPx(x, y) {
+      return [x * width, height - y * height];
     }
 
-    function drawBond(a, b, order) {
-      const dx = b.x - a.x;
-      const dy = b.y - a.y;
-      const len = Math.sqrt(dx * dx + dy * dy) || 1;
-      const nx = -dy / len;
-      const ny = dx / len;
-      const sep = 2.2;
+    function step(ts, dt) {
+      ctx.clearRect(0, 0, width, height);
 
-      const lines = order === 3 ? [-sep, 0, sep] : order === 2 ? [-sep * 0.75, sep * 0.75] : [0];
-      for (let i = 0; i < lines.length; i++) {
-        const o = lines[i];
-        ctx.beginPath();
-        ctx.moveTo(a.x + nx * o, a.y + ny * o);
-        ctx.lineTo(b.x + nx * o, b.y + ny * o);
-        ctx.stroke();
-      }
-    }
+      const fit = leastSquares(hasCursor);
+      const k = 1 - Math.exp(-config.easing * dt);
+      slope += (fit.slope - slope) * k;
+      intercept += (fit.intercept - intercept) * k;
 
-    function drawMolecule(m) {
-      ctx.save();
-      ctx.translate(m.x, m.y);
-      ctx.rotate(m.rot);
+      const t = ts * 0.001;
 
-      // Bonds
+      // Residuals first so points and line sit on top.
       ctx.lineWidth = 1;
-      ctx.strokeStyle = rgba(bodyRgb, 0.22);
-      for (let i = 0; i < m.bonds.length; i++) {
-        const [aIdx, bIdx, order] = m.bonds[i];
-        const a = m.atoms[aIdx];
-        const b = m.atoms[bIdx];
-        drawBond(a, b, order || 1);
+      ctx.strokeStyle = rgba(bodyRgb, 0.18);
+      for (const p of points) {
+        const y = p.y + Math.sin(t + p.phase) * 0.006;
+        const [px, py] = toPx(p.x, y);
+        const [, ly] = toPx(p.x, slope * p.x + intercept);
+        ctx.beginPath();
+        ctx.moveTo(px, py);
+        ctx.lineTo(px, ly);
+        ctx.stroke();
       }
 
-      // Atoms
-      for (let i = 0; i < m.atoms.length; i++) {
-        const atom = m.atoms[i];
-        const fillAlpha = atom.el === 'H' ? 0.9 : 0.65;
-        ctx.fillStyle = rgba(atom.c, fillAlpha);
+      ctx.fillStyle = rgba(pointRgb, 0.65);
+      for (const p of points) {
+        const y = p.y + Math.sin(t + p.phase) * 0.006;
+        const [px, py] = toPx(p.x, y);
         ctx.beginPath();
-        ctx.arc(atom.x, atom.y, atom.r, 0, Math.PI * 2);
+        ctx.arc(px, py, config.pointRadius, 0, Math.PI * 2);
         ctx.fill();
+      }
 
-        // Hydrogen needs an outline to be visible on white backgrounds.
-        if (atom.el === 'H') {
-          ctx.strokeStyle = rgba(bodyRgb, 0.22);
-          ctx.lineWidth = 1;
-          ctx.stroke();
-        }
+      // Regression line across the full card.
+      const [x0, y0] = toPx(0, intercept);
+      const [x1, y1] = toPx(1, slope + intercept);
+      ctx.strokeStyle = rgba(lineRgb, 0.7);
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(x0, y0);
+      ctx.lineTo(x1, y1);
+      ctx.stroke();
+
+      if (hasCursor) {
+        ctx.strokeStyle = rgba(lineRgb, 0.55);
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(cursorX, cursorY, config.pointRadius * 2.2, 0, Math.PI * 2);
+        ctx.stroke();
       }
 
-      ctx.restore();
+      // Equation readout, top-right (title sits top-left).
+      const sign = intercept < 0 ? '−' : '+';
+      ctx.font = '11px ' + (rootStyles.getPropertyValue('--bs-font-monospace') || 'monospace');
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = rgba(bodyRgb, 0.45);
+      ctx.fillText(`y = ${slope.toFixed(2)}x ${sign} ${Math.abs(intercept).toFixed(2)}`, width - 12, 10);
+      ctx.fillText(`r = ${fit.r.toFixed(2)}`, width - 12, 24);
     }
 
-    function step(ts) {
-      if (!running) return;
-
-      const minFrameMs = 1000 / config.maxFps;
-      if (ts - lastTs < minFrameMs) {
-        rafId = requestAnimationFrame(step);
-        return;
-      }
-      const dt = lastTs ? Math.min(0.05, (ts - lastTs) / 1000) : 0.016;
-      lastTs = ts;
-
+    function clear() {
       ctx.clearRect(0, 0, width, height);
+    }
 
-      // Gentle motion, no collisions: wrap-around (fast + simple).
-      for (let i = 0; i < molecules.length; i++) {
-        const m = molecules[i];
-        m.x += m.vx * dt;
-        m.y += m.vy * dt;
-        m.rot += m.vrot * dt;
-
-        if (m.x < -24) m.x = width + 24;
-        else if (m.x > width + 24) m.x = -24;
-
-        if (m.y < -24) m.y = height + 24;
-        else if (m.y > height + 24) m.y = -24;
-
-        drawMolecule(m);
-      }
+    function pause() {
+      fx.stop();
+    }
 
-      rafId = requestAnimationFrame(step);
+    function resume() {
+      if (running && animationsAllowed()) fx.start();
     }
 
     function start() {
       if (running) return;
-      if (clearTimer) {
-        clearTimeout(clearTimer);
-        clearTimer = null;
-      }
+      scheduler.cancel(fx);
       resize();
       rebuild();
       running = true;
-      lastTs = 0;
-      rafId = requestAnimationFrame(step);
+      fx.start();
     }
 
     function stop() {
       running = false;
-      if (rafId) cancelAnimationFrame(rafId);
-      rafId = 0;
+      hasCursor = false;
+      fx.stop();
 
       // Keep last frame for CSS fade-out.
-      if (clearTimer) clearTimeout(clearTimer);
-      clearTimer = setTimeout(() => {
-        ctx.clearRect(0, 0, width, height);
-        clearTimer = null;
-      }, 260);
+      scheduler.defer(fx, clear, FADE_MS);
     }
 
     const ro = new ResizeObserver(() => {
       if (!running) return;
       resize();
-      rebuild();
     });
     ro.observe(card);
 
+    function dispose() {
+      running = false;
+      fx.stop();
+      scheduler.cancel(fx);
+      clear();
+      ro.disconnect();
+    }
+
+    function trackCursor(evt) {
+      const rect = env.measure(card);
+      cursorX = evt.clientX - rect.left;
+      cursorY = evt.clientY - rect.top;
+      hasCursor = true;
+    }
+
     return {
-      onEnter: () => start(),
+      onEnter: (evt) => {
+        trackCursor(evt);
+        start();
+      },
+      onMove: trackCursor,
       onLeave: () => stop(),
+      onPause: pause,
+      onResume: resume,
+      onThemeChange: readColors,
+      dispose,
     };
   }
 })();
@@ -0,0 +1,112 @@
+/* Exam countdowns on subject cards + live exam timeline markers.
+
+   Goals:
+   - Data comes from /api/exams (data/exam_schedule.json on the server).
+   - Cards carry data-exam-subject (same keyword rules as the effects) and
+     show the next paper: "Physics P1 in 12 days".
+   - Refreshes once a minute; no network after the first fetch.
+   - Cards rendered later by booklet-cards.js are picked up on
+     `booklets:rendered`.
+*/
+
+(function () {
+  const TICK_MS = 60 * 1000;
+  const MINUTE = 60 * 1000;
+  const HOUR = 60 * MINUTE;
+  const DAY = 24 * HOUR;
+
+  const rtf =
+    window.Intl && Intl.RelativeTimeFormat
+      ? new Intl.RelativeTimeFormat(document.documentElement.lang || 'en', { numeric: 'auto' })
+      : null;
+
+  function relative(ms) {
+    let value;
+    let unit;
+    if (ms >= DAY) {
+      value = Math.round(ms / DAY);
+      unit = 'day';
+    } else if (ms >= HOUR) {
+      value = Math.round(ms / HOUR);
+      unit = 'hour';
+    } else {
+      value = Math.max(1, Math.round(ms / MINUTE));
+      unit = 'minute';
+    }
+    if (rtf) return rtf.format(value, unit);
+    return `in ${value} ${unit}${value === 1 ? '' : 's'}`;
+  }
+
+  function nextPaper(papers, subject, now) {
+    // Papers arrive sorted by start time; keep showing one until it ends.
+    return papers.find((p) => p.subject === subject && p.end > now) || null;
+  }
+
+  function renderCards(papers, now) {
+    for (const el of document.querySelectorAll('[data-exam-subject]')) {
+      const out = el.querySelector('[data-exam-countdown]');
+      if (!out) continue;
+
+      const paper = nextPaper(papers, el.dataset.examSubject, now);
+      out.hidden = !paper;
+      if (!paper) continue;
+
+      const label = `${paper.subject_title} ${paper.paper}`;
+      const inProgress = paper.start <= now;
+      out.textContent = inProgress
+        ? I18n.t('{paper} is on now', { paper: label })
+        : I18n.t('{paper} {when}', { paper: label, when: relative(paper.start - now) });
+      out.title = new Date(paper.start).toLocaleString();
+      out.classList.toggle('text-danger', inProgress || paper.start - now < 3 * DAY);
+      out.classList.toggle('text-muted', !inProgress && paper.start - now >= 3 * DAY);
+    }
+  }
+
+  function renderTimeline(now) {
+    let next = null;
+    for (const el of document.querySelectorAll('[data-exam-start]')) {
+      const end = Date.parse(el.dataset.examEnd);
+      const past = end <= now;
+      el.classList.toggle('is-past', past);
+      el.classList.remove('is-next');
+      if (!past && !next) next = el;
+    }
+    if (next) next.classList.add('is-next');
+  }
+
+  async function init() {
+    const hasCards = document.querySelector('[data-exam-subject], [data-booklets-src]');
+    const hasTimeline = document.querySelector('[data-exam-timeline]');
+    if (!hasCards && !hasTimeline) return;
+
+    let papers = [];
+    if (hasCards) {
+      try {
+        const res = await fetch('/api/exams');
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        papers = (await res.json()).papers.map((p) =>
+          Object.assign({}, p, { start: Date.parse(p.starts_at), end: Date.parse(p.ends_at) })
+        );
+      } catch (err) {
+        // Offline or no schedule: cards simply show no countdown.
+        console.warn('exam-countdown: schedule unavailable', err);
+      }
+    }
+
+    function tick() {
+      const now = Date.now();
+      renderCards(papers, now);
+      renderTimeline(now);
+    }
+
+    tick();
+    setInterval(tick, TICK_MS);
+    document.addEventListener('booklets:rendered', tick);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
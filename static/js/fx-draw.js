@@ -0,0 +1,510 @@
+/* Canvas renderers shared by card-effects.js and fx-worker.js.
+
+   Goals:
+   - Pure drawing: no DOM access, so the same code can paint a card canvas
+     on the page or an OffscreenCanvas inside the effects worker.
+   - Loaded as a classic script before card-effects.js, and with
+     importScripts() in the worker; both see `self.FxDraw`.
+   - recordingContext() stands in for a real context in headless runs
+     (see CardEffects.configure) and serializes what was drawn.
+*/
+
+(function (root) {
+  function lerp(a, b, t) {
+    return a + (b - a) * t;
+  }
+
+  function clamp01(x) {
+    return Math.max(0, Math.min(1, x));
+  }
+
+  // Fast deterministic hash -> [0..1)
+  function hash2(x, y) {
+    const s = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453;
+    return s - Math.floor(s);
+  }
+
+  // Smooth-ish pseudo-noise (cheap)
+  function noise(x, y, t) {
+    const a = Math.sin(x * 0.015 + t * 0.9);
+    const b = Math.cos(y * 0.015 - t * 0.7);
+    const c = Math.sin((x + y) * 0.01 + t * 0.35);
+    return a * b + 0.55 * c;
+  }
+
+  // -------------------------
+  // vector-field (Physics)
+  // -------------------------
+
+  function vectorFieldPoints(width, height, spacing) {
+    const points = [];
+    const pad = spacing * 0.5;
+    for (let y = pad; y < height - pad; y += spacing) {
+      for (let x = pad; x < width - pad; x += spacing) {
+        // small jitter so it doesn't feel too perfect
+        const jx = (hash2(x, y) - 0.5) * 3;
+        const jy = (hash2(y, x) - 0.5) * 3;
+        points.push([x + jx, y + jy]);
+      }
+    }
+    return points;
+  }
+
+  // scene: { width, height, points, cx, cy, t, config, farRgb, nearRgb }
+  function drawVectorField(ctx, scene) {
+    const { width, height, points, cx, cy, t, config, farRgb, nearRgb } = scene;
+
+    ctx.clearRect(0, 0, width, height);
+
+    // "Matplotlib-ish" look: thin, lots of tiny line segments.
+    ctx.lineWidth = config.lineWidth;
+    ctx.lineCap = 'round';
+    // No glow; keep it crisp/"matplotlib".
+    ctx.shadowBlur = 0;
+
+    const maxDist = Math.max(140, Math.min(width, height) * 0.75);
+
+    for (let i = 0; i < points.length; i++) {
+      const px = points[i][0];
+      const py = points[i][1];
+
+      // Magnet field: point toward cursor.
+      const dx = cx - px;
+      const dy = cy - py;
+      const dist = Math.sqrt(dx * dx + dy * dy) + 0.0001;
+
+      // Distance-based strength (closer -> stronger/longer).
+      const influence = clamp01(1 - dist / maxDist);
+
+      // Small noise so it isn't perfectly uniform.
+      const n = noise(px, py, t);
+      const jitter = (0.22 + 0.12 * (1 - influence)) * n;
+      const angle = Math.atan2(dy, dx) + jitter;
+      const len = config.segmentLength * (0.65 + 1.0 * influence);
+
+      // Colour depends on distance: near pointer -> nearRgb, far -> farRgb.
+      const r = Math.round(lerp(farRgb[0], nearRgb[0], influence));
+      const g = Math.round(lerp(farRgb[1], nearRgb[1], influence));
+      const b = Math.round(lerp(farRgb[2], nearRgb[2], influence));
+      ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${config.alpha})`;
+
+      ctx.beginPath();
+      ctx.moveTo(px, py);
+      ctx.lineTo(px + Math.cos(angle) * len, py + Math.sin(angle) * len);
+      ctx.stroke();
+    }
+  }
+
+  // -------------------------
+  // Field lines (Physics data booklet, D.2 and D.3)
+  // -------------------------
+
+  // k = 1/(4πε0) and μ0 as printed in the data booklet. On the card
+  // 1 px = 1 cm, charges are in μC and currents in A, so the readout
+  // shows realistic values.
+  const K_COULOMB = 8.99e9; // N m² C⁻²
+  const MU_0 = 4 * Math.PI * 1e-7; // T m A⁻¹
+  const METRES_PER_PX = 0.01;
+  const MICRO = 1e-6;
+  // Keeps the field finite on top of a source (≈ 3 px).
+  const SOFTENING_M2 = 0.03 * 0.03;
+  // Distance at which a single source sets the middle colour.
+  const REFERENCE_M = 0.6;
+  const FIELD_COLOR_STEPS = 8;
+  const SOURCE_RADIUS = 7;
+  const SUPERSCRIPTS = { '-': '⁻', 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' };
+
+  // field: {
+  //   kind: 'electric' | 'magnetic',
+  //   charges: [{ x, y, q }],        // point charges, q in μC
+  //   wires: [{ x, y, current }],    // straight currents; > 0 out of the card
+  //   uniform: [Ex, Ey] | null,      // N C⁻¹, as between plates (E = V/d)
+  // }
+  // Returns [Fx, Fy] in N C⁻¹ (electric) or T (magnetic), canvas axes.
+  function fieldAt(field, x, y) {
+    let fx = field.uniform ? field.uniform[0] : 0;
+    let fy = field.uniform ? field.uniform[1] : 0;
+
+    for (let i = 0; i < field.charges.length; i++) {
+      const c = field.charges[i];
+      const dx = (x - c.x) * METRES_PER_PX;
+      const dy = (y - c.y) * METRES_PER_PX;
+      const r2 = dx * dx + dy * dy + SOFTENING_M2;
+      const r = Math.sqrt(r2);
+      // E = kQ / r², pointing away from positive charges.
+      const e = (K_COULOMB * c.q * MICRO) / r2;
+      fx += (e * dx) / r;
+      fy += (e * dy) / r;
+    }
+
+    for (let i = 0; i < field.wires.length; i++) {
+      const w = field.wires[i];
+      const dx = (x - w.x) * METRES_PER_PX;
+      const dy = (y - w.y) * METRES_PER_PX;
+      const r2 = dx * dx + dy * dy + SOFTENING_M2;
+      const r = Math.sqrt(r2);
+      // B = μ0 I / (2πr), circling the wire (right-hand grip rule; y
+      // points down on the canvas, so "anticlockwise" is (dy, -dx)).
+      const b = (MU_0 * w.current) / (2 * Math.PI * r);
+      fx += (b * dy) / r;
+      fy -= (b * dx) / r;
+    }
+
+    return [fx, fy];
+  }
+
+  // Magnitude a lone source has at REFERENCE_M; colours are relative to it.
+  function referenceMagnitude(field) {
+    let ref = field.uniform ? Math.hypot(field.uniform[0], field.uniform[1]) : 0;
+    for (const c of field.charges) {
+      ref = Math.max(ref, (K_COULOMB * Math.abs(c.q) * MICRO) / (REFERENCE_M * REFERENCE_M));
+    }
+    for (const w of field.wires) {
+      ref = Math.max(ref, (MU_0 * Math.abs(w.current)) / (2 * Math.PI * REFERENCE_M));
+    }
+    return ref || 1;
+  }
+
+  // Two decades either side of the reference -> [0..1].
+  function magnitudeLevel(magnitude, ref) {
+    return clamp01(0.5 + Math.log10(magnitude / ref + 1e-12) / 4);
+  }
+
+  // Where field lines start:
+  // - charges: evenly around every charge of the dominant sign, in
+  //   proportion to |q| (lines end on the other sign or leave the card);
+  // - uniform field: along the edge it enters from;
+  // - wires: along a ray from each wire, spaced so line density follows
+  //   B ∝ 1/r.
+  function fieldSeeds(field, width, height, density) {
+    const seeds = [];
+
+    let positive = 0;
+    let negative = 0;
+    for (const c of field.charges) {
+      if (c.q > 0) positive += c.q;
+      else negative -= c.q;
+    }
+    const dominant = positive >= negative ? 1 : -1;
+    for (const c of field.charges) {
+      if (Math.sign(c.q) !== dominant) continue;
+      const n = Math.max(4, Math.round(density.perCharge * Math.abs(c.q)));
+      for (let i = 0; i < n; i++) {
+        const a = ((i + 0.5) / n) * Math.PI * 2;
+        seeds.push({ x: c.x + Math.cos(a) * SOURCE_RADIUS, y: c.y + Math.sin(a) * SOURCE_RADIUS, dir: dominant });
+      }
+    }
+
+    if (field.uniform && (field.uniform[0] || field.uniform[1])) {
+      const horizontal = Math.abs(field.uniform[0]) >= Math.abs(field.uniform[1]);
+      const span = horizontal ? height : width;
+      const n = Math.max(2, Math.round(span / density.spacing));
+      for (let i = 0; i < n; i++) {
+        const s = ((i + 0.5) / n) * span;
+        if (horizontal) seeds.push({ x: field.uniform[0] > 0 ? 0 : width, y: s, dir: 1 });
+        else seeds.push({ x: s, y: field.uniform[1] > 0 ? 0 : height, dir: 1 });
+      }
+    }
+
+    const diagonal = Math.hypot(width, height);
+    for (const w of field.wires) {
+      for (let r = SOURCE_RADIUS * 2; r < diagonal; r *= density.wireGrowth) {
+        seeds.push({ x: w.x + r, y: w.y, dir: 1 });
+      }
+    }
+
+    return seeds;
+  }
+
+  function nearSink(field, x, y, dir) {
+    for (const c of field.charges) {
+      if (c.q * dir < 0 && Math.hypot(x - c.x, y - c.y) < SOURCE_RADIUS) return c;
+    }
+    return null;
+  }
+
+  // Follows the field from a seed with midpoint (RK2) steps of `step` px.
+  // Returns a flat [x, y, |F|, x, y, |F|, ...] polyline.
+  function traceLine(field, seed, width, height, step, maxSteps) {
+    const line = [];
+    let x = seed.x;
+    let y = seed.y;
+    const margin = step * 2;
+
+    for (let i = 0; i < maxSteps; i++) {
+      const f1 = fieldAt(field, x, y);
+      const m1 = Math.hypot(f1[0], f1[1]);
+      if (!m1) break;
+      line.push(x, y, m1);
+
+      const mx = x + ((seed.dir * f1[0]) / m1) * step * 0.5;
+      const my = y + ((seed.dir * f1[1]) / m1) * step * 0.5;
+      const f2 = fieldAt(field, mx, my);
+      const m2 = Math.hypot(f2[0], f2[1]);
+      if (!m2) break;
+      x += ((seed.dir * f2[0]) / m2) * step;
+      y += ((seed.dir * f2[1]) / m2) * step;
+
+      if (x < -margin || y < -margin || x > width + margin || y > height + margin) break;
+
+      const sink = nearSink(field, x, y, seed.dir);
+      if (sink) {
+        line.push(sink.x, sink.y, m2);
+        break;
+      }
+      // Closed loop (around a wire): stop once back at the start.
+      if (i > 8 && Math.hypot(x - seed.x, y - seed.y) < step) {
+        line.push(seed.x, seed.y, m2);
+        break;
+      }
+    }
+    return line;
+  }
+
+  // density: { perCharge, spacing, wireGrowth, step }
+  function traceFieldLines(field, width, height, density) {
+    const maxSteps = Math.ceil((4 * (width + height)) / density.step);
+    return fieldSeeds(field, width, height, density).map((seed) =>
+      traceLine(field, seed, width, height, density.step, maxSteps)
+    );
+  }
+
+  // 25000 -> '2.5 × 10⁴'
+  function formatMagnitude(value) {
+    if (!value) return '0';
+    const exponent = Math.floor(Math.log10(value));
+    const mantissa = (value / Math.pow(10, exponent)).toFixed(1);
+    if (exponent === 0) return mantissa;
+    const sup = String(exponent).replace(/./g, (ch) => SUPERSCRIPTS[ch]);
+    return `${mantissa} × 10${sup}`;
+  }
+
+  function drawArrowhead(segments, x, y, ux, uy, size) {
+    // Two strokes of a chevron pointing along (ux, uy).
+    const bx = x - ux * size;
+    const by = y - uy * size;
+    segments.push(bx - uy * size * 0.6, by + ux * size * 0.6, x, y);
+    segments.push(bx + uy * size * 0.6, by - ux * size * 0.6, x, y);
+  }
+
+  function drawSources(ctx, field, farRgb, nearRgb, inkRgb) {
+    ctx.lineWidth = 1.5;
+    for (const c of field.charges) {
+      const rgb = c.q > 0 ? nearRgb : farRgb;
+      ctx.fillStyle = `rgba(${rgb[0]}, ${rgb[1]}, ${rgb[2]}, 0.9)`;
+      ctx.beginPath();
+      ctx.arc(c.x, c.y, SOURCE_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
+      // + / − sign
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.95)';
+      ctx.beginPath();
+      ctx.moveTo(c.x - 3.5, c.y);
+      ctx.lineTo(c.x + 3.5, c.y);
+      if (c.q > 0) {
+        ctx.moveTo(c.x, c.y - 3.5);
+        ctx.lineTo(c.x, c.y + 3.5);
+      }
+      ctx.stroke();
+    }
+
+    ctx.strokeStyle = `rgba(${inkRgb[0]}, ${inkRgb[1]}, ${inkRgb[2]}, 0.85)`;
+    ctx.fillStyle = ctx.strokeStyle;
+    for (const w of field.wires) {
+      ctx.beginPath();
+      ctx.arc(w.x, w.y, SOURCE_RADIUS, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.beginPath();
+      if (w.current > 0) {
+        // Out of the card: dot (arrow tip).
+        ctx.arc(w.x, w.y, 1.8, 0, Math.PI * 2);
+        ctx.fill();
+      } else {
+        // Into the card: cross (arrow tail).
+        ctx.moveTo(w.x - 4, w.y - 4);
+        ctx.lineTo(w.x + 4, w.y + 4);
+        ctx.moveTo(w.x + 4, w.y - 4);
+        ctx.lineTo(w.x - 4, w.y + 4);
+        ctx.stroke();
+      }
+    }
+  }
+
+  function drawProbe(ctx, scene, ref) {
+    const { field, probe, width, height, farRgb, nearRgb, inkRgb, bgRgb, font } = scene;
+    const f = fieldAt(field, probe.x, probe.y);
+    const m = Math.hypot(f[0], f[1]);
+    if (!m) return;
+
+    const t = magnitudeLevel(m, ref);
+    const rgb = [0, 1, 2].map((i) => Math.round(lerp(farRgb[i], nearRgb[i], t)));
+    const ux = f[0] / m;
+    const uy = f[1] / m;
+    const len = 18;
+    const segments = [probe.x, probe.y, probe.x + ux * len, probe.y + uy * len];
+    drawArrowhead(segments, probe.x + ux * len, probe.y + uy * len, ux, uy, 5);
+    ctx.strokeStyle = `rgba(${rgb[0]}, ${rgb[1]}, ${rgb[2]}, 0.95)`;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = 0; i < segments.length; i += 4) {
+      ctx.moveTo(segments[i], segments[i + 1]);
+      ctx.lineTo(segments[i + 2], segments[i + 3]);
+    }
+    ctx.stroke();
+
+    const text = field.kind === 'magnetic' ? `B = ${formatMagnitude(m)} T` : `E = ${formatMagnitude(m)} N C⁻¹`;
+    ctx.font = font;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const w = ctx.measureText(text).width + 10;
+    const cx = Math.max(w / 2 + 2, Math.min(width - w / 2 - 2, probe.x));
+    const cy = Math.max(10, Math.min(height - 10, probe.y - 22));
+    ctx.fillStyle = `rgba(${bgRgb[0]}, ${bgRgb[1]}, ${bgRgb[2]}, 0.85)`;
+    ctx.fillRect(cx - w / 2, cy - 8, w, 16);
+    ctx.fillStyle = `rgba(${inkRgb[0]}, ${inkRgb[1]}, ${inkRgb[2]}, 0.85)`;
+    ctx.fillText(text, cx, cy + 0.5);
+  }
+
+  // scene: { width, height, field, lines, probe, config, farRgb, nearRgb,
+  //          inkRgb, bgRgb, font }
+  // Lines are coloured by field magnitude (weak -> farRgb, strong ->
+  // nearRgb), batched into a few colour steps so each frame is a handful
+  // of strokes.
+  function drawFieldLines(ctx, scene) {
+    const { width, height, field, lines, probe, config, farRgb, nearRgb } = scene;
+    const ref = referenceMagnitude(field);
+    const buckets = [];
+    for (let i = 0; i < FIELD_COLOR_STEPS; i++) buckets.push([]);
+
+    for (const line of lines) {
+      let travelled = 0;
+      for (let i = 3; i < line.length; i += 3) {
+        const x0 = line[i - 3];
+        const y0 = line[i - 2];
+        const x1 = line[i];
+        const y1 = line[i + 1];
+        const level = magnitudeLevel(line[i - 1], ref);
+        const bucket = buckets[Math.min(FIELD_COLOR_STEPS - 1, Math.floor(level * FIELD_COLOR_STEPS))];
+        bucket.push(x0, y0, x1, y1);
+
+        // Direction arrows every arrowSpacing px along the line.
+        const seg = Math.hypot(x1 - x0, y1 - y0);
+        travelled += seg;
+        if (travelled >= config.arrowSpacing && seg > 0) {
+          travelled = 0;
+          drawArrowhead(bucket, x1, y1, (x1 - x0) / seg, (y1 - y0) / seg, 3.5);
+        }
+      }
+    }
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.lineWidth = config.lineWidth;
+    ctx.lineCap = 'round';
+    ctx.shadowBlur = 0;
+    for (let b = 0; b < FIELD_COLOR_STEPS; b++) {
+      const segments = buckets[b];
+      if (!segments.length) continue;
+      const t = (b + 0.5) / FIELD_COLOR_STEPS;
+      const r = Math.round(lerp(farRgb[0], nearRgb[0], t));
+      const g = Math.round(lerp(farRgb[1], nearRgb[1], t));
+      const bl = Math.round(lerp(farRgb[2], nearRgb[2], t));
+      ctx.strokeStyle = `rgba(${r}, ${g}, ${bl}, ${config.alpha})`;
+      ctx.beginPath();
+      for (let i = 0; i < segments.length; i += 4) {
+        ctx.moveTo(segments[i], segments[i + 1]);
+        ctx.lineTo(segments[i + 2], segments[i + 3]);
+      }
+      ctx.stroke();
+    }
+
+    drawSources(ctx, field, farRgb, nearRgb, scene.inkRgb);
+    if (probe) drawProbe(ctx, scene, ref);
+  }
+
+  // -------------------------
+  // Recording context (headless runs)
+  // -------------------------
+
+  const RECORDED_METHODS = [
+    'arc', 'arcTo', 'beginPath', 'bezierCurveTo', 'clearRect', 'clip', 'closePath', 'ellipse',
+    'fill', 'fillRect', 'fillText', 'lineTo', 'moveTo', 'quadraticCurveTo', 'rect', 'rotate',
+    'scale', 'setLineDash', 'setTransform', 'stroke', 'strokeRect', 'strokeText', 'translate',
+  ];
+  const RECORDED_STATE = {
+    fillStyle: '#000000',
+    strokeStyle: '#000000',
+    lineWidth: 1,
+    lineCap: 'butt',
+    lineJoin: 'miter',
+    font: '10px sans-serif',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    globalAlpha: 1,
+    globalCompositeOperation: 'source-over',
+    shadowBlur: 0,
+    shadowColor: 'rgba(0, 0, 0, 0)',
+  };
+
+  function formatArg(value) {
+    if (typeof value === 'number') return String(Math.round(value * 100) / 100);
+    if (Array.isArray(value)) return '[' + value.map(formatArg).join(',') + ']';
+    if (typeof value === 'string') return JSON.stringify(value);
+    return String(value);
+  }
+
+  // Stands in for a 2D context: every draw call and style change lands in
+  // `calls` as [name, ...args], and serialize() prints one per line with
+  // numbers rounded to 2 decimals, e.g. `arc 120.5 80 3 0 6.28` or
+  // `fillStyle= "rgba(13, 110, 253, 0.9)"`. There are no fonts to ask, so
+  // text measures 0.6em per character.
+  function recordingContext(width, height) {
+    const calls = [];
+    let state = Object.assign({}, RECORDED_STATE);
+    const stack = [];
+
+    const ctx = {
+      canvas: { width: width || 300, height: height || 150 },
+      calls,
+      save() {
+        calls.push(['save']);
+        stack.push(Object.assign({}, state));
+      },
+      restore() {
+        calls.push(['restore']);
+        if (stack.length) state = stack.pop();
+      },
+      measureText(text) {
+        const size = Number((/(\d+(?:\.\d+)?)px/.exec(state.font) || [])[1]) || 10;
+        return { width: String(text).length * size * 0.6 };
+      },
+      serialize() {
+        return calls.map(([name, ...args]) => [name].concat(args.map(formatArg)).join(' ')).join('\n');
+      },
+    };
+    for (const name of RECORDED_METHODS) {
+      ctx[name] = (...args) => {
+        calls.push([name].concat(args));
+      };
+    }
+    for (const name of Object.keys(RECORDED_STATE)) {
+      Object.defineProperty(ctx, name, {
+        enumerable: true,
+        get: () => state[name],
+        set: (value) => {
+          state[name] = value;
+          calls.push([name + '=', value]);
+        },
+      });
+    }
+    return ctx;
+  }
+
+  root.FxDraw = {
+    recordingContext,
+    vectorFieldPoints,
+    drawVectorField,
+    fieldAt,
+    traceFieldLines,
+    drawFieldLines,
+    formatMagnitude,
+  };
+})(self);
@@ -0,0 +1,110 @@
+/* Effects worker: draws card effects on OffscreenCanvas.
+
+   Goals:
+   - Opt-in: card-effects.js only uses it when <body data-fx-worker="...">
+     points here and the browser supports transferControlToOffscreen().
+   - One worker for the whole page; each card canvas is a scene keyed by id.
+   - The page's scheduler still decides when to draw: every "frame" message
+     is answered with how long it took, which feeds the frame budget and
+     the debug overlay.
+   - A scene outlives dispose(): a transferred canvas can't be taken back, so
+     a card that is re-attached reuses it. "release" drops it for good.
+*/
+
+importScripts('fx-draw.js');
+
+const renderers = {
+  'vector-field': {
+    resize(scene, msg) {
+      scene.points = self.FxDraw.vectorFieldPoints(msg.width, msg.height, msg.spacing);
+    },
+    draw(scene, msg) {
+      if (msg.field) {
+        // Physics modes: re-trace only when the sources moved.
+        if (msg.key !== scene.tracedKey) {
+          scene.lines = self.FxDraw.traceFieldLines(msg.field, scene.width, scene.height, msg.density);
+          scene.tracedKey = msg.key;
+        }
+        self.FxDraw.drawFieldLines(
+          scene.ctx,
+          Object.assign({ width: scene.width, height: scene.height, field: msg.field, lines: scene.lines, probe: msg.probe }, scene.settings)
+        );
+        return;
+      }
+      self.FxDraw.drawVectorField(scene.ctx, {
+        width: scene.width,
+        height: scene.height,
+        points: scene.points,
+        cx: msg.cx,
+        cy: msg.cy,
+        t: msg.t,
+        config: scene.settings.config,
+        farRgb: scene.settings.farRgb,
+        nearRgb: scene.settings.nearRgb,
+      });
+    },
+  },
+};
+
+const scenes = new Map();
+
+const handlers = {
+  init(msg) {
+    const existing = scenes.get(msg.id);
+    const canvas = msg.canvas || (existing && existing.canvas);
+    const renderer = renderers[msg.effect];
+    if (!canvas || !renderer) return;
+    scenes.set(msg.id, {
+      canvas,
+      ctx: canvas.getContext('2d', { alpha: true }),
+      renderer,
+      settings: msg.settings,
+      width: 0,
+      height: 0,
+      points: [],
+      lines: [],
+      tracedKey: '',
+    });
+  },
+
+  resize(msg, scene) {
+    scene.width = msg.width;
+    scene.height = msg.height;
+    scene.canvas.width = Math.floor(msg.width * msg.dpr);
+    scene.canvas.height = Math.floor(msg.height * msg.dpr);
+    scene.ctx.setTransform(msg.dpr, 0, 0, msg.dpr, 0, 0);
+    scene.renderer.resize(scene, msg);
+  },
+
+  frame(msg, scene) {
+    const t0 = performance.now();
+    scene.renderer.draw(scene, msg);
+    self.postMessage({ type: 'frame', id: msg.id, ms: performance.now() - t0 });
+  },
+
+  // Palette after a theme change.
+  settings(msg, scene) {
+    scene.settings = msg.settings;
+  },
+
+  clear(msg, scene) {
+    scene.ctx.clearRect(0, 0, scene.width, scene.height);
+  },
+
+  release(msg) {
+    scenes.delete(msg.id);
+  },
+};
+
+self.addEventListener('message', (evt) => {
+  const msg = evt.data || {};
+  const handler = handlers[msg.type];
+  if (!handler) return;
+  const scene = scenes.get(msg.id);
+  if (msg.type !== 'init' && msg.type !== 'release' && !scene) return;
+  try {
+    handler(msg, scene);
+  } catch (err) {
+    self.postMessage({ type: 'error', id: msg.id, error: String((err && err.message) || err) });
+  }
+});
@@ -0,0 +1,34 @@
+/* Translations for strings the page scripts build themselves.
+
+   Goals:
+   - The server picks the language (cookie, else Accept-Language) and puts
+     it in <html lang>; base.html embeds the catalog entries the scripts
+     use (`_JS_MESSAGES` in flask_app.py) as JSON in #i18n-messages.
+   - I18n.t('Pin {booklet}', { booklet: 'Physics 2025' }) looks the English
+     message up and fills in the placeholders. Anything missing, including
+     the whole catalog on English pages, falls back to the English text.
+   - Loaded deferred before the other scripts, so I18n exists by the time
+     they run.
+*/
+
+(function () {
+  let messages = null;
+
+  function load() {
+    const el = document.getElementById('i18n-messages');
+    try {
+      messages = (el && JSON.parse(el.textContent)) || {};
+    } catch (_) {
+      messages = {};
+    }
+  }
+
+  function t(message, values) {
+    if (!messages) load();
+    const text = messages[message] || message;
+    if (!values) return text;
+    return text.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+  }
+
+  window.I18n = { locale: document.documentElement.lang || 'en', t };
+})();
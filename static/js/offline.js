@@ -0,0 +1,135 @@
+/* Offline support (page side).
+
+   Goals:
+   - Register the service worker (static/js/sw.js, served at /sw.js).
+   - Per card: "Make available offline" button, offline badge + cache size.
+   - On load, ask the worker to sync with /api/offline-manifest so
+     replaced/removed booklets don't linger in the cache.
+   - Everything is progressive: without service workers the UI stays hidden.
+*/
+
+(function () {
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+  function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    return Math.max(1, Math.round(bytes / 1024)) + ' KB';
+  }
+
+  // Request/response over a MessageChannel; rejects if the worker reports an error.
+  function ask(worker, msg) {
+    return new Promise((resolve, reject) => {
+      const channel = new MessageChannel();
+      channel.port1.onmessage = (evt) => {
+        if (evt.data && evt.data.ok) resolve(evt.data.result);
+        else reject(new Error((evt.data && evt.data.error) || 'service worker error'));
+      };
+      worker.postMessage(msg, [channel.port2]);
+    });
+  }
+
+  function cardsByUrl() {
+    const map = new Map();
+    for (const el of document.querySelectorAll('[data-offline-url]')) map.set(el.dataset.offlineUrl, el);
+    return map;
+  }
+
+  function renderCard(el, entry, busy) {
+    const btn = el.querySelector('[data-offline-toggle]');
+    const badge = el.querySelector('[data-offline-badge]');
+    if (!btn || !badge) return;
+
+    btn.hidden = false;
+    btn.disabled = Boolean(busy);
+    if (busy) {
+      btn.textContent = busy;
+    } else {
+      btn.textContent = I18n.t(entry ? 'Remove offline copy' : 'Make available offline');
+    }
+    btn.setAttribute('aria-pressed', entry ? 'true' : 'false');
+
+    badge.hidden = !entry;
+    badge.textContent = entry ? I18n.t('Offline · {size}', { size: formatSize(entry.size) }) : '';
+  }
+
+  function renderOnlineState() {
+    const banner = document.getElementById('offline-banner');
+    if (banner) banner.hidden = navigator.onLine;
+  }
+
+  async function init() {
+    renderOnlineState();
+    window.addEventListener('online', renderOnlineState);
+    window.addEventListener('offline', renderOnlineState);
+
+    let registration;
+    try {
+      registration = await navigator.serviceWorker.register('/sw.js');
+    } catch (err) {
+      console.warn('offline: service worker registration failed', err);
+      return;
+    }
+    await navigator.serviceWorker.ready;
+    const worker = registration.active;
+    if (!worker) return;
+
+    let entries = {};
+
+    function render() {
+      for (const [url, el] of cardsByUrl()) renderCard(el, entries[url]);
+    }
+
+    // Never rejects: if the worker can't report, keep the last known
+    // entries but still re-render, so no button is left on "Saving…".
+    async function refresh() {
+      try {
+        entries = (await ask(worker, { type: 'status' })).entries;
+      } catch (err) {
+        console.warn('offline: could not read the cache', err);
+      }
+      render();
+    }
+
+    document.addEventListener('click', async (evt) => {
+      const btn = evt.target.closest('[data-offline-toggle]');
+      if (!btn) return;
+      const el = btn.closest('[data-offline-url]');
+      const url = el.dataset.offlineUrl;
+      const saved = Boolean(entries[url]);
+
+      renderCard(el, entries[url], I18n.t(saved ? 'Removing…' : 'Saving…'));
+      try {
+        await ask(worker, { type: saved ? 'remove' : 'save', url });
+      } catch (err) {
+        console.warn('offline: could not update', url, err);
+      }
+      await refresh();
+    });
+
+    // Opening a booklet caches it too; pick that up when the viewer closes
+    // or the student comes back from the PDF tab.
+    document.addEventListener('hidden.bs.modal', refresh);
+    // Cards may arrive after us (booklet-cards.js) and switch edition later.
+    document.addEventListener('booklets:rendered', render);
+    document.addEventListener('booklets:change', render);
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) refresh();
+    });
+
+    await refresh();
+    if (navigator.onLine) {
+      try {
+        const { removed } = await ask(worker, { type: 'sync' });
+        if (removed.length) await refresh();
+      } catch (_) {
+        // Manifest unreachable: keep what we have.
+      }
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
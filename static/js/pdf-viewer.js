@@ -0,0 +1,442 @@
+/* In-page PDF viewer (PDF.js, vendored under static/vendor/pdfjs/).
+
+   Goals:
+   - "Open PDF" opens a modal instead of leaving the site. Modifier/middle
+     clicks, and browsers without JS or Bootstrap, still open the file.
+   - Shareable deep links: /?view=<file>&page=N reopens the same page.
+   - PDF.js is only downloaded the first time the viewer opens.
+*/
+
+(function () {
+  const ZOOM_STEP = 1.2;
+  const MIN_SCALE = 0.25;
+  const MAX_SCALE = 4;
+  const THUMB_WIDTH = 112;
+
+  let pdfjsPromise = null;
+
+  function loadPdfJs(modal) {
+    if (!pdfjsPromise) {
+      pdfjsPromise = import(modal.dataset.pdfjsSrc).then((lib) => {
+        lib.GlobalWorkerOptions.workerSrc = modal.dataset.pdfjsWorker;
+        return lib;
+      });
+      // Allow a retry after a network hiccup.
+      pdfjsPromise.catch(() => {
+        pdfjsPromise = null;
+      });
+    }
+    return pdfjsPromise;
+  }
+
+  function isPlainClick(evt) {
+    return evt.button === 0 && !evt.metaKey && !evt.ctrlKey && !evt.shiftKey && !evt.altKey;
+  }
+
+  function init() {
+    const modal = document.getElementById('pdf-viewer');
+    if (!modal || !window.bootstrap || !window.bootstrap.Modal) return;
+
+    const bsModal = window.bootstrap.Modal.getOrCreateInstance(modal);
+    const el = {
+      title: modal.querySelector('[data-pdf-title]'),
+      stage: modal.querySelector('[data-pdf-stage]'),
+      canvas: modal.querySelector('[data-pdf-canvas]'),
+      thumbs: modal.querySelector('[data-pdf-thumbs]'),
+      status: modal.querySelector('[data-pdf-status]'),
+      pageInput: modal.querySelector('[data-pdf-page]'),
+      pageCount: modal.querySelector('[data-pdf-count]'),
+      zoomLabel: modal.querySelector('[data-pdf-zoom-label]'),
+      prev: modal.querySelector('[data-pdf-action="prev"]'),
+      next: modal.querySelector('[data-pdf-action="next"]'),
+      direct: modal.querySelector('[data-pdf-direct]'),
+      copy: modal.querySelector('[data-pdf-action="copy"]'),
+    };
+
+    const state = {
+      filename: '',
+      href: '',
+      doc: null,
+      loadingTask: null,
+      page: 1,
+      // 'width' | 'page' | numeric scale
+      zoom: 'width',
+      scale: 1,
+      renderTask: null,
+      renderToken: 0,
+      thumbObserver: null,
+      shown: false,
+    };
+
+    let whenShown = null;
+    let resolveShown = null;
+
+    function knownBooklets() {
+      const map = new Map();
+      for (const link of document.querySelectorAll('a[data-pdf-view]')) {
+        map.set(link.dataset.pdfView, link.getAttribute('href'));
+      }
+      // Older editions that aren't the one on show (booklet-cards.js).
+      for (const el of document.querySelectorAll('[data-editions]')) {
+        try {
+          for (const edition of JSON.parse(el.dataset.editions)) {
+            if (!map.has(edition.filename)) map.set(edition.filename, edition.url);
+          }
+        } catch (_) {
+          // Malformed list: only the edition on show is reachable.
+        }
+      }
+      return map;
+    }
+
+    function setStatus(text) {
+      el.status.textContent = text || '';
+      el.status.hidden = !text;
+    }
+
+    function syncUrl() {
+      const params = new URLSearchParams(window.location.search);
+      if (state.filename) {
+        params.set('view', state.filename);
+        if (state.page > 1) params.set('page', String(state.page));
+        else params.delete('page');
+      } else {
+        params.delete('view');
+        params.delete('page');
+      }
+      const qs = params.toString();
+      window.history.replaceState(null, '', window.location.pathname + (qs ? '?' + qs : '') + window.location.hash);
+    }
+
+    function computeScale(page) {
+      const base = page.getViewport({ scale: 1 });
+      const style = getComputedStyle(el.stage);
+      const padX = parseFloat(style.paddingLeft) + parseFloat(style.paddingRight);
+      const padY = parseFloat(style.paddingTop) + parseFloat(style.paddingBottom);
+      const availW = Math.max(50, el.stage.clientWidth - padX);
+      const availH = Math.max(50, el.stage.clientHeight - padY);
+
+      if (state.zoom === 'width') return availW / base.width;
+      if (state.zoom === 'page') return Math.min(availW / base.width, availH / base.height);
+      return state.zoom;
+    }
+
+    function updateControls() {
+      const count = state.doc ? state.doc.numPages : 0;
+      el.pageInput.value = String(state.page);
+      el.pageInput.max = String(count || 1);
+      el.pageCount.textContent = String(count || '–');
+      el.prev.disabled = state.page <= 1;
+      el.next.disabled = !count || state.page >= count;
+      el.zoomLabel.textContent = Math.round(state.scale * 100) + '%';
+      el.direct.href = state.href + '#page=' + state.page;
+
+      for (const thumb of el.thumbs.children) {
+        const current = Number(thumb.dataset.page) === state.page;
+        thumb.classList.toggle('active', current);
+        if (current) {
+          thumb.setAttribute('aria-current', 'page');
+          thumb.scrollIntoView({ block: 'nearest' });
+        } else {
+          thumb.removeAttribute('aria-current');
+        }
+      }
+    }
+
+    async function renderPage() {
+      if (!state.doc || !state.shown) return;
+
+      const token = ++state.renderToken;
+      if (state.renderTask) state.renderTask.cancel();
+
+      const page = await state.doc.getPage(state.page);
+      if (token !== state.renderToken) return;
+
+      state.scale = computeScale(page);
+      const viewport = page.getViewport({ scale: state.scale });
+      const dpr = Math.min(2, window.devicePixelRatio || 1);
+      const canvas = el.canvas;
+      canvas.width = Math.floor(viewport.width * dpr);
+      canvas.height = Math.floor(viewport.height * dpr);
+      canvas.style.width = Math.floor(viewport.width) + 'px';
+      canvas.style.height = Math.floor(viewport.height) + 'px';
+      canvas.setAttribute('aria-label', I18n.t('Page {page} of {count}', { page: state.page, count: state.doc.numPages }));
+
+      updateControls();
+      syncUrl();
+
+      state.renderTask = page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport,
+        transform: dpr !== 1 ? [dpr, 0, 0, dpr, 0, 0] : null,
+      });
+      try {
+        await state.renderTask.promise;
+      } catch (err) {
+        if (err && err.name === 'RenderingCancelledException') return;
+        throw err;
+      } finally {
+        if (token === state.renderToken) state.renderTask = null;
+      }
+    }
+
+    function goTo(pageNumber) {
+      if (!state.doc) return;
+      const n = Math.max(1, Math.min(state.doc.numPages, Math.round(Number(pageNumber)) || 1));
+      if (n === state.page && state.renderTask) return;
+      state.page = n;
+      renderPage().catch(showError);
+      el.stage.scrollTop = 0;
+    }
+
+    function setZoom(zoom) {
+      if (typeof zoom === 'number') zoom = Math.max(MIN_SCALE, Math.min(MAX_SCALE, zoom));
+      state.zoom = zoom;
+      renderPage().catch(showError);
+    }
+
+    async function renderThumb(thumb) {
+      if (!state.doc || thumb.dataset.rendered) return;
+      thumb.dataset.rendered = '1';
+
+      const doc = state.doc;
+      const page = await doc.getPage(Number(thumb.dataset.page));
+      if (doc !== state.doc) return;
+
+      const base = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({ scale: THUMB_WIDTH / base.width });
+      const canvas = thumb.querySelector('canvas');
+      canvas.width = Math.floor(viewport.width);
+      canvas.height = Math.floor(viewport.height);
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    }
+
+    function buildThumbs() {
+      el.thumbs.textContent = '';
+      if (state.thumbObserver) state.thumbObserver.disconnect();
+
+      state.thumbObserver = new IntersectionObserver(
+        (entries) => {
+          for (const entry of entries) {
+            if (!entry.isIntersecting) continue;
+            state.thumbObserver.unobserve(entry.target);
+            renderThumb(entry.target).catch(() => {
+              // A missing thumbnail isn't worth an error message.
+            });
+          }
+        },
+        { root: el.thumbs, rootMargin: '200px 0px' }
+      );
+
+      for (let i = 1; i <= state.doc.numPages; i++) {
+        const thumb = document.createElement('button');
+        thumb.type = 'button';
+        thumb.className = 'pdf-thumb';
+        thumb.dataset.page = String(i);
+        thumb.setAttribute('aria-label', I18n.t('Page {page}', { page: i }));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = THUMB_WIDTH;
+        canvas.height = Math.round(THUMB_WIDTH * 1.414);
+        const label = document.createElement('span');
+        label.textContent = String(i);
+
+        thumb.append(canvas, label);
+        el.thumbs.appendChild(thumb);
+        state.thumbObserver.observe(thumb);
+      }
+    }
+
+    function showError(err) {
+      console.error(err);
+      setStatus(I18n.t('Could not display this PDF here. Use “Open in new tab” instead.'));
+    }
+
+    function reset() {
+      state.renderToken++;
+      if (state.renderTask) state.renderTask.cancel();
+      state.renderTask = null;
+      if (state.thumbObserver) state.thumbObserver.disconnect();
+      state.thumbObserver = null;
+      if (state.loadingTask) state.loadingTask.destroy();
+      state.loadingTask = null;
+      state.doc = null;
+      el.thumbs.textContent = '';
+      const ctx = el.canvas.getContext('2d');
+      if (ctx) ctx.clearRect(0, 0, el.canvas.width, el.canvas.height);
+    }
+
+    async function open(filename, href, pageNumber) {
+      reset();
+      state.filename = filename;
+      state.href = href;
+      state.page = Math.max(1, Number(pageNumber) || 1);
+      state.zoom = 'width';
+
+      el.title.textContent = filename;
+      el.direct.href = href;
+      setStatus(I18n.t('Loading…'));
+      updateControls();
+      syncUrl();
+
+      if (!state.shown) {
+        whenShown = new Promise((resolve) => {
+          resolveShown = resolve;
+        });
+        bsModal.show();
+      }
+
+      try {
+        const pdfjs = await loadPdfJs(modal);
+        if (state.filename !== filename) return;
+
+        state.loadingTask = pdfjs.getDocument({ url: href });
+        const doc = await state.loadingTask.promise;
+        if (state.filename !== filename) return;
+
+        state.doc = doc;
+        state.page = Math.min(state.page, doc.numPages);
+        buildThumbs();
+        await whenShown;
+        setStatus('');
+        await renderPage();
+      } catch (err) {
+        if (state.filename === filename) showError(err);
+      }
+    }
+
+    // ---- wiring
+
+    document.addEventListener('click', (evt) => {
+      const link = evt.target.closest('a[data-pdf-view]');
+      if (!link || !isPlainClick(evt)) return;
+      evt.preventDefault();
+      open(link.dataset.pdfView, link.getAttribute('href'), 1);
+    });
+
+    modal.addEventListener('shown.bs.modal', () => {
+      state.shown = true;
+      if (resolveShown) resolveShown();
+      resolveShown = null;
+    });
+
+    modal.addEventListener('hidden.bs.modal', () => {
+      state.shown = false;
+      state.filename = '';
+      reset();
+      syncUrl();
+    });
+
+    el.thumbs.addEventListener('click', (evt) => {
+      const thumb = evt.target.closest('.pdf-thumb');
+      if (thumb) goTo(thumb.dataset.page);
+    });
+
+    el.pageInput.addEventListener('change', () => goTo(el.pageInput.value));
+
+    modal.addEventListener('click', (evt) => {
+      const btn = evt.target.closest('[data-pdf-action]');
+      if (!btn) return;
+      switch (btn.dataset.pdfAction) {
+        case 'prev':
+          goTo(state.page - 1);
+          break;
+        case 'next':
+          goTo(state.page + 1);
+          break;
+        case 'zoom-in':
+          setZoom(state.scale * ZOOM_STEP);
+          break;
+        case 'zoom-out':
+          setZoom(state.scale / ZOOM_STEP);
+          break;
+        case 'fit-width':
+          setZoom('width');
+          break;
+        case 'fit-page':
+          setZoom('page');
+          break;
+        case 'copy':
+          copyLink();
+          break;
+      }
+    });
+
+    function copyLink() {
+      const url = window.location.href;
+      const done = () => {
+        const label = el.copy.textContent;
+        el.copy.textContent = I18n.t('Copied');
+        setTimeout(() => {
+          el.copy.textContent = label;
+        }, 1200);
+      };
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(url).then(done, () => window.prompt(I18n.t('Copy this link:'), url));
+      } else {
+        window.prompt(I18n.t('Copy this link:'), url);
+      }
+    }
+
+    modal.addEventListener('keydown', (evt) => {
+      if (!state.doc || evt.target.closest('input, select, textarea')) return;
+      if (evt.metaKey || evt.ctrlKey || evt.altKey) return;
+
+      switch (evt.key) {
+        case 'ArrowLeft':
+        case 'PageUp':
+          goTo(state.page - 1);
+          break;
+        case 'ArrowRight':
+        case 'PageDown':
+          goTo(state.page + 1);
+          break;
+        case 'Home':
+          goTo(1);
+          break;
+        case 'End':
+          goTo(state.doc.numPages);
+          break;
+        case '+':
+        case '=':
+          setZoom(state.scale * ZOOM_STEP);
+          break;
+        case '-':
+          setZoom(state.scale / ZOOM_STEP);
+          break;
+        case '0':
+          setZoom('width');
+          break;
+        default:
+          return;
+      }
+      evt.preventDefault();
+    });
+
+    let resizeRaf = 0;
+    window.addEventListener('resize', () => {
+      if (!state.shown || typeof state.zoom === 'number') return;
+      cancelAnimationFrame(resizeRaf);
+      resizeRaf = requestAnimationFrame(() => renderPage().catch(showError));
+    });
+
+    // Deep link: /?view=Physics_2025.pdf&page=12
+    const params = new URLSearchParams(window.location.search);
+    const view = params.get('view');
+    function openDeepLink() {
+      const href = knownBooklets().get(view);
+      if (href) open(view, href, params.get('page'));
+      return Boolean(href);
+    }
+    // The link may belong to a card that booklet-cards.js has yet to render.
+    if (view && !openDeepLink()) {
+      document.addEventListener('booklets:rendered', openDeepLink, { once: true });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,259 @@
+/* Service worker: offline shell + on-demand booklet PDFs.
+
+   Served at /sw.js (see flask_app.py) so its scope is the whole site.
+
+   - Shell (pages, CSS, JS, PDF.js): precached on install, then
+     stale-while-revalidate so deploys show up on the next visit.
+   - Data the pages render from (/api/booklets, /api/exams): network-first,
+     falling back to the last copy so the grid still fills offline.
+   - Booklets (/booklets/*.pdf): cache-first once saved, either because a
+     student opened one or pressed "Make available offline". Each copy keeps
+     the server's X-Booklet-Hash; syncing against /api/offline-manifest drops
+     copies that were replaced or removed on the server.
+   - Pages talk to the worker with postMessage (see offline.js).
+*/
+
+const SHELL_CACHE = 'shell-v12';
+const BOOKLET_CACHE = 'booklets-v1';
+const MANIFEST_URL = '/api/offline-manifest';
+
+const SHELL_URLS = [
+  '/',
+  '/contact',
+  '/static/css/bootstrap.css',
+  '/static/css/custom.css',
+  '/static/favicon.svg',
+  '/static/js/theme.js',
+  '/static/js/i18n.js',
+  '/static/js/fx-draw.js',
+  '/static/js/fx-worker.js',
+  '/static/js/card-effects.js',
+  '/static/js/booklet-cards.js',
+  '/static/js/booklet-filter.js',
+  '/static/js/booklet-grid-nav.js',
+  '/static/js/booklet-compare.js',
+  '/static/js/booklet-shelf.js',
+  '/static/js/pdf-viewer.js',
+  '/static/js/exam-countdown.js',
+  '/static/js/offline.js',
+  '/static/data/molecules.sdf',
+  '/static/vendor/bootstrap/bootstrap.bundle.min.js',
+  '/static/vendor/pdfjs/pdf.min.mjs',
+  '/static/vendor/pdfjs/pdf.worker.min.mjs',
+];
+
+// Kept in SHELL_CACHE too; fetched on install but not required for it.
+const DATA_URLS = ['/api/booklets', '/api/exams'];
+
+self.addEventListener('install', (evt) => {
+  evt.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) =>
+        cache.addAll(SHELL_URLS).then(() => Promise.all(DATA_URLS.map((url) => cache.add(url).catch(() => null))))
+      )
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (evt) => {
+  evt.waitUntil(
+    (async () => {
+      const keep = new Set([SHELL_CACHE, BOOKLET_CACHE]);
+      for (const key of await caches.keys()) {
+        if (!keep.has(key)) await caches.delete(key);
+      }
+      await self.clients.claim();
+      // Best effort: we may well be offline right now.
+      await syncWithManifest().catch(() => null);
+    })()
+  );
+});
+
+// -------------------------
+// Fetch strategies
+// -------------------------
+
+self.addEventListener('fetch', (evt) => {
+  const req = evt.request;
+  if (req.method !== 'GET') return;
+
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith('/booklets/') && url.pathname.toLowerCase().endsWith('.pdf')) {
+    evt.respondWith(bookletResponse(req));
+  } else if (req.mode === 'navigate') {
+    evt.respondWith(pageResponse(req));
+  } else if (url.pathname.startsWith('/static/')) {
+    evt.respondWith(staticResponse(evt));
+  } else if (DATA_URLS.includes(url.pathname)) {
+    evt.respondWith(dataResponse(req));
+  }
+  // Everything else (other APIs, /sw.js) goes straight to the network.
+});
+
+async function pageResponse(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok) cache.put(new URL(req.url).pathname, res.clone());
+    return res;
+  } catch (err) {
+    // Offline: serve the last copy of the page, ignoring ?q=... etc.
+    const cached = await cache.match(req, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function dataResponse(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  const key = new URL(req.url).pathname;
+  try {
+    const res = await fetch(req);
+    if (res.ok) cache.put(key, res.clone());
+    return res;
+  } catch (err) {
+    // The server varies these by language; offline, any copy beats none.
+    const cached = await cache.match(key, { ignoreVary: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function staticResponse(evt) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(evt.request, { ignoreSearch: true });
+  const update = fetch(evt.request)
+    .then((res) => {
+      if (res.ok) cache.put(evt.request, res.clone());
+      return res;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    evt.waitUntil(update);
+    return cached;
+  }
+  return (await update) || Response.error();
+}
+
+function bookletKey(req) {
+  // One entry per file: ignore #page=N, ?query and Range headers.
+  return new URL(req.url).pathname;
+}
+
+async function bookletResponse(req) {
+  const cache = await caches.open(BOOKLET_CACHE);
+  const cached = await cache.match(bookletKey(req));
+  if (cached) return withRange(req, cached);
+
+  const res = await fetch(req);
+  // Only keep complete downloads; PDF.js may ask for byte ranges.
+  if (res.status === 200) await storeBooklet(cache, bookletKey(req), res.clone());
+  return res;
+}
+
+async function storeBooklet(cache, key, res) {
+  const blob = await res.blob();
+  const headers = new Headers(res.headers);
+  headers.set('Content-Length', String(blob.size));
+  headers.set('X-Booklet-Size', String(blob.size));
+  headers.set('X-Booklet-Cached-At', new Date().toISOString());
+  await cache.put(key, new Response(blob, { status: 200, headers }));
+  return blob.size;
+}
+
+// Answer "Range: bytes=a-b" from a full cached copy (PDF.js uses ranges).
+async function withRange(req, cached) {
+  const range = req.headers.get('Range');
+  const m = range && /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+  if (!m) return cached;
+
+  const blob = await cached.blob();
+  const size = blob.size;
+  let start = m[1] === '' ? size - Number(m[2]) : Number(m[1]);
+  let end = m[1] === '' || m[2] === '' ? size - 1 : Number(m[2]);
+  start = Math.max(0, start);
+  end = Math.min(size - 1, end);
+  if (start > end) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+  }
+
+  const headers = new Headers(cached.headers);
+  headers.set('Content-Range', `bytes ${start}-${end}/${size}`);
+  headers.set('Content-Length', String(end - start + 1));
+  return new Response(blob.slice(start, end + 1), { status: 206, headers });
+}
+
+// -------------------------
+// Manifest sync + messages
+// -------------------------
+
+async function syncWithManifest() {
+  const res = await fetch(MANIFEST_URL, { cache: 'no-store' });
+  if (!res.ok) throw new Error('manifest ' + res.status);
+  const { booklets } = await res.json();
+  const current = new Map(booklets.map((b) => [b.url, b.hash]));
+
+  const cache = await caches.open(BOOKLET_CACHE);
+  const removed = [];
+  for (const req of await cache.keys()) {
+    const key = new URL(req.url).pathname;
+    const cached = await cache.match(req);
+    const hash = cached && cached.headers.get('X-Booklet-Hash');
+    if (!current.has(key) || current.get(key) !== hash) {
+      await cache.delete(req);
+      removed.push(key);
+    }
+  }
+  return { removed };
+}
+
+async function status() {
+  const cache = await caches.open(BOOKLET_CACHE);
+  const entries = {};
+  for (const req of await cache.keys()) {
+    const res = await cache.match(req);
+    entries[new URL(req.url).pathname] = {
+      size: Number(res.headers.get('X-Booklet-Size')) || 0,
+      cachedAt: res.headers.get('X-Booklet-Cached-At') || '',
+    };
+  }
+  return { entries };
+}
+
+async function saveBooklet(url) {
+  const key = new URL(url, self.location.origin).pathname;
+  const res = await fetch(key, { cache: 'no-store' });
+  if (res.status !== 200) throw new Error('download failed: ' + res.status);
+  const cache = await caches.open(BOOKLET_CACHE);
+  return { size: await storeBooklet(cache, key, res) };
+}
+
+async function removeBooklet(url) {
+  const cache = await caches.open(BOOKLET_CACHE);
+  return { removed: await cache.delete(new URL(url, self.location.origin).pathname) };
+}
+
+const handlers = {
+  sync: () => syncWithManifest(),
+  status: () => status(),
+  save: (msg) => saveBooklet(msg.url),
+  remove: (msg) => removeBooklet(msg.url),
+};
+
+self.addEventListener('message', (evt) => {
+  const msg = evt.data || {};
+  const port = evt.ports && evt.ports[0];
+  const handler = handlers[msg.type];
+  if (!handler || !port) return;
+
+  evt.waitUntil(
+    handler(msg).then(
+      (result) => port.postMessage({ ok: true, result }),
+      (err) => port.postMessage({ ok: false, error: String((err && err.message) || err) })
+    )
+  );
+});
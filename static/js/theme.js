@@ -0,0 +1,79 @@
+/* Colour theme: light, dark or follow the system.
+
+   Goals:
+   - Loaded (not deferred) from <head> so the theme is set before the first
+     paint; no white flash for students opening the site at night.
+   - The choice lives in localStorage; "system" tracks prefers-color-scheme
+     live, including when the OS switches at sunset.
+   - Only sets data-bs-theme on <html>: Bootstrap restyles itself and
+     card-effects.js watches the attribute to re-read its palette.
+*/
+
+(function () {
+  const STORAGE_KEY = 'theme';
+  const CHOICES = ['light', 'dark', 'system'];
+  const darkQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+  function readChoice() {
+    try {
+      const value = localStorage.getItem(STORAGE_KEY);
+      return CHOICES.includes(value) ? value : 'system';
+    } catch (_) {
+      return 'system';
+    }
+  }
+
+  let choice = readChoice();
+
+  function resolved() {
+    if (choice !== 'system') return choice;
+    return darkQuery && darkQuery.matches ? 'dark' : 'light';
+  }
+
+  function apply() {
+    const theme = resolved();
+    // Setting the same value again would still wake attribute observers.
+    if (document.documentElement.getAttribute('data-bs-theme') !== theme) {
+      document.documentElement.setAttribute('data-bs-theme', theme);
+    }
+    const select = document.getElementById('theme-select');
+    if (select) select.value = choice;
+  }
+
+  function onSelect(evt) {
+    choice = CHOICES.includes(evt.target.value) ? evt.target.value : 'system';
+    try {
+      localStorage.setItem(STORAGE_KEY, choice);
+    } catch (_) {
+      // Private mode / storage disabled: keep the choice for this page only.
+    }
+    apply();
+  }
+
+  apply();
+  if (darkQuery) {
+    darkQuery.addEventListener('change', () => {
+      if (choice === 'system') apply();
+    });
+  }
+
+  // Keep other open tabs in sync.
+  window.addEventListener('storage', (evt) => {
+    if (evt.key !== STORAGE_KEY) return;
+    choice = readChoice();
+    apply();
+  });
+
+  function init() {
+    const select = document.getElementById('theme-select');
+    if (!select) return;
+    select.value = choice;
+    select.addEventListener('change', onSelect);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,140 @@
+/* Draw-call snapshots for every registered card effect.
+
+   Each effect runs in its own jsdom page with everything it could vary on
+   pinned down through CardEffects.configure(): seeded random(), a manual
+   clock and frame queue, a fixed 400x220 card and FxDraw.recordingContext()
+   in place of the canvas. Colours come from the light theme in
+   bootstrap.css. The recorded calls of a few frames are compared
+   with tests/js/__snapshots__/, so a change in what an effect draws (a
+   missing hydrogen, a shifted bond) shows up as a snapshot diff. After an
+   intended change, update them with `npx jest -u`.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+// In the order base.html loads them.
+const SCRIPTS = ['static/js/i18n.js', 'static/js/fx-draw.js', 'static/js/card-effects.js'];
+const WIDTH = 400;
+const HEIGHT = 220;
+// Below every effect's default maxFps, so each step draws a frame.
+const FRAME_MS = 50;
+// Frames compared per effect: the first one and one after things moved.
+const SNAPSHOT_FRAMES = [1, 12];
+// The light theme's custom properties; effects take their colours from them.
+const THEME_CSS = /:root,\s*\[data-bs-theme=light\]\s*\{[^}]*\}/.exec(
+  fs.readFileSync(path.join(ROOT, 'static/css/bootstrap.css'), 'utf8')
+)[0];
+
+function readStatic(url) {
+  const file = path.join(ROOT, new URL(url).pathname);
+  return fs.readFileSync(file, 'utf8');
+}
+
+// A page with one card per effect name; each card has both layers an
+// effect may draw into (.fx-matrix for glow-matrix, a canvas for the rest).
+function loadPage(names) {
+  const cards = names
+    .map(
+      (name) =>
+        `<div class="card fx-card" data-fx="${name}" data-fx-seed="${name}">` +
+        '<div class="fx-matrix"></div><canvas class="fx-canvas"></canvas>' +
+        '<div class="card-body"><h5 class="card-title">Booklet</h5></div></div>'
+    )
+    .join('');
+  const html = `<!doctype html><html><head><style>${THEME_CSS}</style></head><body>${cards}</body></html>`;
+  const dom = new JSDOM(html, {
+    runScripts: 'outside-only',
+    // Otherwise document.hidden is true and effects stop after one frame.
+    pretendToBeVisual: true,
+    // card-effects.js finds molecules.sdf relative to its own URL.
+    url: 'http://localhost/static/js/',
+  });
+  const { window } = dom;
+  window.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  window.fetch = async (url) => ({ ok: true, status: 200, text: async () => readStatic(String(url)) });
+  for (const script of SCRIPTS) window.eval(fs.readFileSync(path.join(ROOT, script), 'utf8'));
+  return window;
+}
+
+function headless(window) {
+  let clock = 0;
+  const queue = [];
+  const contexts = [];
+  window.CardEffects.configure({
+    random: window.CardEffects.seededRandom(1),
+    now: () => clock,
+    requestFrame: (fn) => queue.push(fn),
+    cancelFrame() {},
+    measure: () => ({ left: 0, top: 0, width: WIDTH, height: HEIGHT, right: WIDTH, bottom: HEIGHT }),
+    context: () => {
+      const ctx = window.FxDraw.recordingContext(WIDTH, HEIGHT);
+      contexts.push(ctx);
+      return ctx;
+    },
+    pixelRatio: () => 1,
+  });
+  return {
+    contexts,
+    step() {
+      clock += FRAME_MS;
+      for (const fn of queue.splice(0)) fn(clock);
+    },
+  };
+}
+
+// Lets fetch() (molecules.sdf) and other promise chains settle.
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+async function recordFrames(name) {
+  const window = loadPage([name]);
+  const env = headless(window);
+  window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  await settle();
+
+  const card = window.document.querySelector('[data-fx]');
+  card.dispatchEvent(new window.MouseEvent('pointerenter', { clientX: 120, clientY: 60 }));
+  await settle();
+
+  const frames = [];
+  let seen = 0;
+  for (let frame = 1; frame <= Math.max(...SNAPSHOT_FRAMES); frame++) {
+    card.dispatchEvent(new window.MouseEvent('pointermove', { clientX: 120 + frame * 8, clientY: 60 + frame * 4 }));
+    env.step();
+    const calls = env.contexts.flatMap((ctx) => ctx.serialize().split('\n').filter(Boolean));
+    if (SNAPSHOT_FRAMES.includes(frame)) frames.push(calls.slice(seen).join('\n'));
+    seen = calls.length;
+  }
+
+  window.CardEffects.destroy();
+  window.close();
+  return frames;
+}
+
+const names = loadPage([]).CardEffects.names();
+
+test('every built-in effect is covered', () => {
+  expect(names).toEqual(expect.arrayContaining(['glow-matrix', 'vector-field', 'molecules', 'food-web', 'regression']));
+});
+
+describe.each(names)('%s', (name) => {
+  test('draws the same frames for the same seed', async () => {
+    expect(await recordFrames(name)).toEqual(await recordFrames(name));
+  });
+
+  test('matches the recorded frames', async () => {
+    const frames = await recordFrames(name);
+    frames.forEach((calls, i) => {
+      expect(calls).not.toBe('');
+      expect(calls).toMatchSnapshot(`frame ${SNAPSHOT_FRAMES[i]}`);
+    });
+  });
+});